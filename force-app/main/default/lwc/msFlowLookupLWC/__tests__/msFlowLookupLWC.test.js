@@ -0,0 +1,666 @@
+import { createElement } from 'lwc';
+import MsFlowLookupLWC from 'c/msFlowLookupLWC';
+import searchRecords from '@salesforce/apex/MsFlowLookupController.searchRecords';
+import getRecordDetails from '@salesforce/apex/MsFlowLookupController.getRecordDetails';
+import getObjectIconName from '@salesforce/apex/MsFlowLookupController.getObjectIconName';
+import getObjectLabels from '@salesforce/apex/MsFlowLookupController.getObjectLabels';
+import getRecentRecords from '@salesforce/apex/MsFlowLookupController.getRecentRecords';
+import getFieldDescribes from '@salesforce/apex/MsFlowLookupController.getFieldDescribes';
+import getInaccessibleFields from '@salesforce/apex/MsFlowLookupController.getInaccessibleFields';
+import getQuickFilterOptions from '@salesforce/apex/MsFlowLookupController.getQuickFilterOptions';
+import resolveRecords from '@salesforce/apex/MsFlowLookupController.resolveRecords';
+
+// Fixture records shared by the search and rehydration mocks
+const mockAccounts = require('./data/accounts.json');
+const mockSearchResponse = require('./data/searchRecords.json');
+const mockRefineResponse = require('./data/searchRecordsRefine.json');
+
+// Every Apex method the component imports is mocked, so the suite runs without an org
+jest.mock('@salesforce/apex/MsFlowLookupController.searchRecords', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getRecordDetails', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getObjectIconName', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getObjectLabels', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getRecentRecords', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getFieldDescribes', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getInaccessibleFields', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getQuickFilterOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.resolveRecords', () => ({ default: jest.fn() }), { virtual: true });
+
+// The default stub ignores its arguments; this one keeps the attribute name and value
+jest.mock('lightning/flowSupport', () => {
+    const FlowAttributeChangeEventName = 'lightning__flowattributechange';
+    class FlowAttributeChangeEvent extends CustomEvent {
+        constructor(attributeName, attributeValue) {
+            super(FlowAttributeChangeEventName, {
+                bubbles: true,
+                composed: true,
+                detail: { attributeName, attributeValue }
+            });
+        }
+    }
+    return { FlowAttributeChangeEventName, FlowAttributeChangeEvent };
+});
+
+// Records the page references the component navigates to
+const mockNavigate = jest.fn();
+jest.mock('lightning/navigation', () => {
+    const Navigate = Symbol('Navigate');
+    const GenerateUrl = Symbol('GenerateUrl');
+    const NavigationMixin = Base => class extends Base {
+        [Navigate](pageReference) {
+            mockNavigate(pageReference);
+        }
+
+        [GenerateUrl](pageReference) {
+            return Promise.resolve(`/lightning/r/${pageReference.attributes.recordId}/view`);
+        }
+    };
+    NavigationMixin.Navigate = Navigate;
+    NavigationMixin.GenerateUrl = GenerateUrl;
+    return { NavigationMixin };
+});
+
+const ACME_ID = '001000000000001AAA';
+const GLOBEX_ID = '001000000000002AAA';
+
+/**
+ * @description Creates the component with the given public properties and adds it to the DOM
+ * @param {Object} props - Public properties to set before the component connects
+ * @return {HTMLElement} Component element
+ */
+function createLookup(props = {}) {
+    const element = createElement('c-ms-flow-lookup-lwc', { is: MsFlowLookupLWC });
+    Object.assign(element, { searchDelay: 0, defaultResults: 'none' }, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * @description Waits for pending promises, timers and re-renders to settle
+ * @return {Promise} Resolves on the next macrotask
+ */
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * @description Types a search term and waits for the debounced search to render
+ * @param {HTMLElement} element - Component element
+ * @param {string} searchTerm - Text to type
+ */
+async function typeSearch(element, searchTerm) {
+    const input = element.shadowRoot.querySelector('input');
+    input.value = searchTerm;
+    input.dispatchEvent(new CustomEvent('input'));
+    await flushPromises();
+    await flushPromises();
+}
+
+/**
+ * @description Clicks the dropdown option of a record
+ * @param {HTMLElement} element - Component element
+ * @param {string} recordId - Id of the record to select
+ */
+async function selectOption(element, recordId) {
+    element.shadowRoot.querySelector(`[role="option"][data-record-id="${recordId}"]`).click();
+    await flushPromises();
+}
+
+/**
+ * @description Collects the Flow attribute change events of the component by attribute name
+ * @param {HTMLElement} element - Component element
+ * @return {Object} Latest value of each changed attribute
+ */
+function captureFlowAttributes(element) {
+    const attributes = {};
+    element.addEventListener('lightning__flowattributechange', event => {
+        attributes[event.detail.attributeName] = event.detail.attributeValue;
+    });
+    return attributes;
+}
+
+describe('c-ms-flow-lookup-lwc', () => {
+    beforeEach(() => {
+        searchRecords.mockResolvedValue(mockSearchResponse);
+        getRecordDetails.mockResolvedValue(mockAccounts);
+        getObjectIconName.mockResolvedValue('standard:account');
+        getObjectLabels.mockResolvedValue({ Account: 'Account' });
+        getRecentRecords.mockResolvedValue([]);
+        getFieldDescribes.mockResolvedValue([]);
+        getInaccessibleFields.mockResolvedValue([]);
+        getQuickFilterOptions.mockResolvedValue([]);
+        resolveRecords.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        window.localStorage.clear();
+    });
+
+    describe('search', () => {
+        it('searches the configured object and fields with the typed term', async () => {
+            const element = createLookup({ objectApiName: 'Account', primaryField: 'Name', secondaryFields: 'Industry' });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(searchRecords).toHaveBeenCalledTimes(1);
+            expect(searchRecords.mock.calls[0][0]).toMatchObject({
+                objectApiName: 'Account',
+                searchTerm: 'Acme',
+                offsetResults: 0
+            });
+            expect(searchRecords.mock.calls[0][0].fieldsToReturn).toEqual(expect.arrayContaining(['Name', 'Industry']));
+            const options = element.shadowRoot.querySelectorAll('[role="option"][data-record-id]');
+            expect(options.length).toBe(mockSearchResponse.records.length);
+            expect(options[0].textContent).toContain('Acme');
+        });
+
+        it('searches only the primary and secondary fields', async () => {
+            const element = createLookup({ primaryField: 'Name', secondaryFields: 'Industry', tertiaryFields: 'Phone', detailFields: 'Type' });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            const params = searchRecords.mock.calls[0][0];
+            expect(params.searchFields).toEqual(['Name', 'Industry']);
+            expect(params.fieldsToReturn).toEqual(expect.arrayContaining(['Name', 'Industry', 'Phone']));
+        });
+
+        it('tells admins which search fields the server left out', async () => {
+            searchRecords.mockResolvedValue({ ...mockSearchResponse, skippedSearchFields: ['BillingCity', 'BillingState'] });
+            const element = createLookup({ showDiagnostics: true });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(element.shadowRoot.querySelector('.lookup-search-fields-notice').textContent)
+                .toBe('At most 5 fields are searched. Not searched on Account: BillingCity, BillingState');
+        });
+
+        it('ignores the results of an earlier search that arrive after a newer one', async () => {
+            let resolveEarlierSearch;
+            searchRecords
+                .mockImplementationOnce(() => new Promise(resolve => { resolveEarlierSearch = resolve; }))
+                .mockResolvedValueOnce({ ...mockSearchResponse, records: [mockAccounts[1]] });
+            const element = createLookup();
+            await flushPromises();
+
+            await typeSearch(element, 'Glo');
+            await typeSearch(element, 'Globex');
+            resolveEarlierSearch(mockSearchResponse);
+            await flushPromises();
+
+            expect(searchRecords).toHaveBeenCalledTimes(2);
+            const options = element.shadowRoot.querySelectorAll('[role="option"][data-record-id]');
+            expect([...options].map(option => option.dataset.recordId)).toEqual([GLOBEX_ID]);
+        });
+
+        it('narrows a complete cached search on the fields the server searched', async () => {
+            const element = createLookup({ primaryField: 'Name', tertiaryFields: 'Industry' });
+            await flushPromises();
+
+            await typeSearch(element, 'in');
+            await typeSearch(element, 'ing');
+
+            // Manufacturing and Consulting contain the term, but Industry was only displayed
+            expect(searchRecords).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.querySelectorAll('[role="option"][data-record-id]').length).toBe(0);
+
+            await typeSearch(element, 'init');
+
+            expect(searchRecords).toHaveBeenCalledTimes(1);
+            const options = element.shadowRoot.querySelectorAll('[role="option"][data-record-id]');
+            expect([...options].map(option => option.dataset.recordId)).toEqual(['001000000000003AAA']);
+        });
+
+        it('does not search terms shorter than the minimum length', async () => {
+            const element = createLookup();
+            await flushPromises();
+
+            await typeSearch(element, 'A');
+
+            expect(searchRecords).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.slds-form-element__help').textContent).toBe('Type at least 2 characters to search');
+        });
+
+        it('shows the refine hint instead of results for broad searches', async () => {
+            searchRecords.mockResolvedValue(mockRefineResponse);
+            const element = createLookup();
+            await flushPromises();
+
+            await typeSearch(element, 'co');
+
+            expect(element.shadowRoot.querySelectorAll('[role="option"][data-record-id]').length).toBe(0);
+            expect(element.shadowRoot.querySelector('.slds-form-element__help').textContent).toBe(mockRefineResponse.message);
+        });
+
+        it('falls back to a client-side icon when the object icon cannot be loaded', async () => {
+            getObjectIconName.mockRejectedValue(new Error('Icon lookup failed'));
+            const element = createLookup({ objectApiName: 'Invoice__c' });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            const icon = element.shadowRoot.querySelector('[role="option"][data-record-id] lightning-icon');
+            expect(icon.iconName).toBe('standard:record');
+        });
+    });
+
+    describe('single selection', () => {
+        it('outputs the selected record and notifies Flow', async () => {
+            const element = createLookup({ primaryField: 'Name', secondaryFields: 'Industry', tertiaryFields: 'Phone' });
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            const flowAttributes = captureFlowAttributes(element);
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+
+            const detail = changes[changes.length - 1];
+            expect(detail).toMatchObject({
+                recordId: ACME_ID,
+                primaryFieldValue: 'Acme Corporation',
+                secondaryFieldValue: 'Manufacturing',
+                tertiaryFieldValue: '(555) 010-1000',
+                selectedObjectApiName: 'Account'
+            });
+            expect(detail.selectedRecord).toMatchObject({ Id: ACME_ID, Name: 'Acme Corporation' });
+            expect(flowAttributes.recordId).toBe(ACME_ID);
+            expect(flowAttributes.primaryFieldValue).toBe('Acme Corporation');
+            expect(element.recordId).toBe(ACME_ID);
+        });
+
+        it('clears the outputs when the selection is removed', async () => {
+            const element = createLookup();
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+            element.shadowRoot.querySelector('input').dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', cancelable: true }));
+            await flushPromises();
+
+            expect(changes[changes.length - 1]).toMatchObject({ recordId: '', primaryFieldValue: '' });
+        });
+
+        it('rehydrates the record of an incoming record Id', async () => {
+            getRecordDetails.mockResolvedValue([mockAccounts[1]]);
+            const element = createLookup({ recordId: GLOBEX_ID });
+            await flushPromises();
+            await flushPromises();
+
+            expect(getRecordDetails).toHaveBeenCalledTimes(1);
+            expect(getRecordDetails.mock.calls[0][0].recordIds).toEqual([GLOBEX_ID]);
+            expect(element.primaryFieldValue).toBe('Globex Inc');
+        });
+    });
+
+    describe('multiple selection', () => {
+        it('adds each selected record as a pill', async () => {
+            const element = createLookup({ allowMultipleSelection: true });
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+            await typeSearch(element, 'Globex');
+            await selectOption(element, GLOBEX_ID);
+
+            const pills = element.shadowRoot.querySelector('lightning-pill-container');
+            expect(pills.items.map(item => item.name)).toEqual([ACME_ID, GLOBEX_ID]);
+            expect(changes[changes.length - 1].selectedRecordIds).toEqual([ACME_ID, GLOBEX_ID]);
+            expect(changes[changes.length - 1].selectedRecords.map(record => record.Name)).toEqual(['Acme Corporation', 'Globex Inc']);
+        });
+
+        it('removes a record when its pill is removed', async () => {
+            const element = createLookup({ allowMultipleSelection: true, selectedRecordIds: [ACME_ID, GLOBEX_ID] });
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            const flowAttributes = captureFlowAttributes(element);
+            await flushPromises();
+            await flushPromises();
+
+            const pills = element.shadowRoot.querySelector('lightning-pill-container');
+            expect(pills.items.length).toBe(2);
+            pills.dispatchEvent(new CustomEvent('itemremove', { detail: { item: { name: ACME_ID } } }));
+            await flushPromises();
+
+            expect(changes[changes.length - 1].selectedRecordIds).toEqual([GLOBEX_ID]);
+            expect(flowAttributes.selectedRecordIds).toEqual([GLOBEX_ID]);
+            expect(element.shadowRoot.querySelector('lightning-pill-container').items.map(item => item.name)).toEqual([GLOBEX_ID]);
+        });
+
+        it('keeps the selection and reports the error when the records cannot be rehydrated', async () => {
+            getRecordDetails.mockRejectedValue({ body: { message: 'Insufficient access' } });
+            const element = createLookup({ allowMultipleSelection: true, selectedRecordIds: [ACME_ID] });
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            const flowAttributes = captureFlowAttributes(element);
+            await flushPromises();
+            await flushPromises();
+
+            expect(getRecordDetails).toHaveBeenCalledTimes(1);
+            // The Ids from Flow are neither cleared nor replaced
+            expect(changes).toEqual([]);
+            expect(flowAttributes).toEqual({});
+            expect(element.shadowRoot.querySelector('lightning-pill-container')).toBeNull();
+            expect(element.shadowRoot.querySelector('.lookup-selection-error').textContent)
+                .toBe('The selected records could not be loaded. Please try again or contact your administrator.');
+        });
+    });
+
+    describe('datatable', () => {
+        it('opens the record page through the navigation service from the View Record action', async () => {
+            const element = createLookup({ allowMultipleSelection: true, displayFormat: 'datatable', selectedRecordIds: [ACME_ID] });
+            await flushPromises();
+            await flushPromises();
+
+            const datatable = element.shadowRoot.querySelector('lightning-datatable');
+            datatable.dispatchEvent(new CustomEvent('rowaction', {
+                detail: { action: { name: 'view' }, row: { Id: ACME_ID } }
+            }));
+
+            expect(mockNavigate).toHaveBeenCalledWith({
+                type: 'standard__recordPage',
+                attributes: { recordId: ACME_ID, actionName: 'view' }
+            });
+        });
+
+        it('links columns to the record page URL from the navigation service', async () => {
+            getFieldDescribes.mockResolvedValue([{ fieldName: 'Name', label: 'Account Name', type: 'string', linkField: 'Id' }]);
+            const element = createLookup({ allowMultipleSelection: true, displayFormat: 'datatable', selectedRecordIds: [ACME_ID] });
+            await flushPromises();
+            await flushPromises();
+
+            const datatable = element.shadowRoot.querySelector('lightning-datatable');
+            expect(datatable.columns[0]).toMatchObject({ fieldName: 'Name__linkUrl', type: 'url' });
+            expect(datatable.data[0].Name__linkUrl).toBe(`/lightning/r/${ACME_ID}/view`);
+            expect(datatable.data[0].Name__linkLabel).toBe('Acme Corporation');
+        });
+    });
+
+    describe('bulk paste', () => {
+        /**
+         * @description Pastes text into the search input
+         * @param {HTMLElement} element - Component element
+         * @param {string} text - Pasted text
+         */
+        async function pasteValues(element, text) {
+            const pasteEvent = new CustomEvent('paste', { cancelable: true });
+            pasteEvent.clipboardData = { getData: () => text };
+            element.shadowRoot.querySelector('input').dispatchEvent(pasteEvent);
+            await flushPromises();
+        }
+
+        it('shows the user message of a coded paste error', async () => {
+            resolveRecords.mockRejectedValue({
+                body: {
+                    message: JSON.stringify({
+                        code: 'INVALID_EXTERNAL_ID',
+                        userMessage: 'Pasted values can\'t be matched on this lookup\'s external ID field. Please contact your administrator.'
+                    })
+                }
+            });
+            const element = createLookup({ allowMultipleSelection: true, externalIdField: 'Industry' });
+            await flushPromises();
+
+            await pasteValues(element, 'Acme\nGlobex');
+
+            expect(resolveRecords).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.querySelector('.slds-text-color_error[role="alert"]').textContent)
+                .toBe('Pasted values can\'t be matched on this lookup\'s external ID field. Please contact your administrator.');
+        });
+
+        it('shows the default paste message for an uncoded error', async () => {
+            resolveRecords.mockRejectedValue({ body: { message: 'Script-thrown exception' } });
+            const element = createLookup({ allowMultipleSelection: true });
+            await flushPromises();
+
+            await pasteValues(element, 'Acme, Globex');
+
+            expect(element.shadowRoot.querySelector('.slds-text-color_error[role="alert"]').textContent)
+                .toBe('The pasted values could not be matched. Please try again.');
+        });
+    });
+
+    describe('search errors', () => {
+        it('shows the user message of a coded Apex error', async () => {
+            searchRecords.mockRejectedValue({
+                body: {
+                    message: JSON.stringify({
+                        code: 'INVALID_FILTER',
+                        userMessage: 'This lookup has an invalid filter. Contact your administrator.',
+                        adminMessage: 'Invalid filter operator: between'
+                    })
+                }
+            });
+            const element = createLookup();
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(element.shadowRoot.textContent).toContain('This lookup has an invalid filter. Contact your administrator.');
+            expect(element.shadowRoot.querySelector('.lookup-diagnostics')).toBeNull();
+        });
+
+        it('shows diagnostics when the server allows the user to see them', async () => {
+            searchRecords.mockRejectedValue({
+                body: {
+                    message: JSON.stringify({
+                        code: 'INVALID_FILTER',
+                        userMessage: 'This lookup has an invalid filter. Contact your administrator.',
+                        adminMessage: 'Invalid filter operator: between',
+                        canViewDiagnostics: true
+                    })
+                }
+            });
+            const element = createLookup({ showDiagnostics: true });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            const diagnostics = element.shadowRoot.querySelector('.lookup-diagnostics');
+            expect(diagnostics.textContent).toContain('INVALID_FILTER');
+            expect(diagnostics.textContent).toContain('Invalid filter operator: between');
+        });
+
+        it('hides diagnostics from users the server did not allow, even when they are turned on', async () => {
+            searchRecords.mockRejectedValue({
+                body: {
+                    message: JSON.stringify({
+                        code: 'INVALID_FILTER',
+                        userMessage: 'This lookup has an invalid filter. Contact your administrator.',
+                        adminMessage: null,
+                        canViewDiagnostics: false
+                    })
+                }
+            });
+            const element = createLookup({ showDiagnostics: true });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(element.shadowRoot.textContent).toContain('This lookup has an invalid filter. Contact your administrator.');
+            expect(element.shadowRoot.querySelector('.lookup-diagnostics')).toBeNull();
+        });
+
+        it('shows why the selected record could not be loaded', async () => {
+            getRecordDetails.mockRejectedValue({
+                body: {
+                    message: JSON.stringify({
+                        code: 'OBJECT_NOT_ACCESSIBLE',
+                        userMessage: 'You don\'t have access to these records. Please contact your administrator.',
+                        adminMessage: 'Error retrieving record details: Invalid object: Account',
+                        canViewDiagnostics: true
+                    })
+                }
+            });
+            const element = createLookup({ recordId: ACME_ID, showDiagnostics: true });
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.lookup-selection-error').textContent)
+                .toBe('You don\'t have access to these records. Please contact your administrator.');
+            expect(element.shadowRoot.querySelector('.lookup-diagnostics').textContent).toContain('OBJECT_NOT_ACCESSIBLE');
+        });
+
+        it('shows the default message when the selected record fails with an uncoded error', async () => {
+            getRecordDetails.mockRejectedValue(new Error('Network failure'));
+            const element = createLookup({ recordId: ACME_ID });
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.lookup-selection-error').textContent)
+                .toBe('The selected records could not be loaded. Please try again or contact your administrator.');
+        });
+
+        it('shows the default message and no diagnostics for an uncoded error', async () => {
+            searchRecords.mockRejectedValue(new Error('Network failure'));
+            const element = createLookup({ showDiagnostics: true });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(element.shadowRoot.textContent).toContain('An error occurred while searching.');
+            expect(element.shadowRoot.querySelector('.lookup-diagnostics')).toBeNull();
+        });
+    });
+
+    describe('inputs changed on screen', () => {
+        it('selects and clears the record of a recordId set by another component', async () => {
+            const element = createLookup();
+            const changes = [];
+            element.addEventListener('change', event => changes.push(event.detail));
+            await flushPromises();
+
+            getRecordDetails.mockResolvedValue([mockAccounts[1]]);
+            element.recordId = GLOBEX_ID;
+            await flushPromises();
+
+            expect(getRecordDetails).toHaveBeenCalledTimes(1);
+            expect(getRecordDetails.mock.calls[0][0].recordIds).toEqual([GLOBEX_ID]);
+            expect(element.shadowRoot.querySelector('input').value).toBe('Globex Inc');
+            expect(changes[changes.length - 1]).toMatchObject({ recordId: GLOBEX_ID });
+
+            element.recordId = '';
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('input').value).toBe('');
+            expect(changes[changes.length - 1]).toMatchObject({ recordId: '' });
+        });
+
+        it('reloads the icon and clears the selection when the object changes', async () => {
+            const element = createLookup({ objectApiName: 'Account' });
+            await flushPromises();
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+            expect(element.recordId).toBe(ACME_ID);
+
+            getObjectIconName.mockResolvedValue('standard:contact');
+            element.objectApiName = 'Contact';
+            await flushPromises();
+
+            expect(getObjectIconName).toHaveBeenLastCalledWith({ objectApiName: 'Contact' });
+            expect(element.recordId).toBe('');
+
+            await typeSearch(element, 'Acme');
+
+            expect(searchRecords.mock.calls[searchRecords.mock.calls.length - 1][0].objectApiName).toBe('Contact');
+            expect(element.shadowRoot.querySelector('[role="option"][data-record-id] lightning-icon').iconName).toBe('standard:contact');
+        });
+
+        it('clears the selection and searches again when a filter value changes', async () => {
+            const filterConditions = JSON.stringify([{ field: 'Industry', operator: 'equals', valueSource: 'variable', variableSlot: 1 }]);
+            const element = createLookup({ allowMultipleSelection: true, filterConditions, filterValue1: 'Technology' });
+            await flushPromises();
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+            await typeSearch(element, 'Globex');
+            expect(element.selectedRecordIds).toEqual([ACME_ID]);
+            const searchCount = searchRecords.mock.calls.length;
+
+            element.filterValue1 = 'Manufacturing';
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.selectedRecordIds).toEqual([]);
+            expect(searchRecords).toHaveBeenCalledTimes(searchCount + 1);
+            const lastParams = searchRecords.mock.calls[searchCount][0];
+            expect(lastParams.searchTerm).toBe('Globex');
+            expect(JSON.parse(lastParams.filtersJson).conditions[0].value).toBe('Manufacturing');
+        });
+    });
+
+    describe('record filter', () => {
+        it('waits for an empty Flow resource of an equals condition, then searches with its value', async () => {
+            const filterConditions = JSON.stringify([{ field: 'ParentId', operator: 'equals', valueSource: 'variable', variableSlot: 1 }]);
+            const element = createLookup({ filterConditions });
+            await flushPromises();
+
+            const input = element.shadowRoot.querySelector('input');
+            expect(input.disabled).toBe(true);
+            await typeSearch(element, 'Acme');
+            expect(searchRecords).not.toHaveBeenCalled();
+
+            element.filterValue1 = GLOBEX_ID;
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('input').disabled).toBe(false);
+            await typeSearch(element, 'Acme');
+
+            expect(searchRecords).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(searchRecords.mock.calls[0][0].filtersJson).conditions)
+                .toEqual([{ field: 'ParentId', operator: 'equals', value: GLOBEX_ID }]);
+        });
+
+        it('does not search with an empty Flow resource of a contains condition', async () => {
+            const filterConditions = JSON.stringify([
+                { field: 'Type', operator: 'equals', valueSource: 'value', value: 'Customer' },
+                { field: 'Industry', operator: 'contains', valueSource: 'variable', variableSlot: 2 }
+            ]);
+            const element = createLookup({ filterConditions, filterValue2: '' });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+
+            expect(searchRecords).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('input').placeholder).toBe('Search is unavailable until the filter has a value');
+        });
+    });
+
+    describe('validate', () => {
+        it('requires a record when required', async () => {
+            const element = createLookup({ required: true });
+            await flushPromises();
+
+            expect(element.validate()).toEqual({ isValid: false, errorMessage: 'Please select a record.' });
+        });
+
+        it('passes once a required record is selected', async () => {
+            const element = createLookup({ required: true });
+            await flushPromises();
+
+            await typeSearch(element, 'Acme');
+            await selectOption(element, ACME_ID);
+
+            expect(element.validate()).toEqual({ isValid: true });
+        });
+
+        it('enforces the minimum and maximum selections', async () => {
+            const element = createLookup({ allowMultipleSelection: true, minSelections: 2, maxSelections: 2, selectedRecordIds: [ACME_ID] });
+            await flushPromises();
+            await flushPromises();
+
+            expect(element.validate()).toEqual({ isValid: false, errorMessage: 'Please select at least 2 records.' });
+
+            element.customErrorMessage = 'Choose exactly two accounts';
+            expect(element.validate().errorMessage).toBe('Choose exactly two accounts');
+        });
+    });
+});
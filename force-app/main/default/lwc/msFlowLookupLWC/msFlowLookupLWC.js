@@ -1,7 +1,66 @@
 import { LightningElement, api, track } from 'lwc';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { NavigationMixin } from 'lightning/navigation';
 import searchRecords from '@salesforce/apex/MsFlowLookupController.searchRecords';
 import getRecordDetails from '@salesforce/apex/MsFlowLookupController.getRecordDetails';
 import getObjectIconName from '@salesforce/apex/MsFlowLookupController.getObjectIconName';
+import getObjectLabels from '@salesforce/apex/MsFlowLookupController.getObjectLabels';
+import getRecentRecords from '@salesforce/apex/MsFlowLookupController.getRecentRecords';
+import getFieldDescribes from '@salesforce/apex/MsFlowLookupController.getFieldDescribes';
+import getInaccessibleFields from '@salesforce/apex/MsFlowLookupController.getInaccessibleFields';
+import getQuickFilterOptions from '@salesforce/apex/MsFlowLookupController.getQuickFilterOptions';
+import resolveRecords from '@salesforce/apex/MsFlowLookupController.resolveRecords';
+import USER_ID from '@salesforce/user/Id';
+import LOCALE from '@salesforce/i18n/locale';
+import CURRENCY from '@salesforce/i18n/currency';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+
+// Counter that gives each lookup on a screen its own element ids
+let instanceCount = 0;
+
+// Search results paging; MAX_PAGE_SIZE matches the limit enforced by searchRecords
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const SCROLL_LOAD_THRESHOLD = 40; // Distance in px from the end of the dropdown that loads the next page
+
+// Search timing; the delay is the pause in typing before searchRecords is called
+const DEFAULT_SEARCH_DELAY = 300;
+const MAX_SEARCH_DELAY = 2000;
+const MIN_SEARCH_LENGTH = 2; // Shortest term searchRecords runs; shorter terms get a refine response
+const MAX_MIN_SEARCH_LENGTH = 10;
+const MAX_SEARCH_FIELDS = 5; // Search fields searchRecords matches at most; the rest are reported back
+
+// First pages of search results kept per component, so repeated and narrowed searches skip the server
+const MAX_CACHED_SEARCHES = 50;
+const SEARCH_CACHE_TTL = 60000; // Age in ms after which cached results are loaded again
+
+// Records remembered per user and object for the "recently used in this lookup" default results
+const RECENTLY_USED_LIMIT = 10;
+const RECENTLY_USED_STORAGE_PREFIX = 'msFlowLookup.recentlyUsed';
+
+// Accents left as separate marks by normalize('NFD'), ignored when highlighting search terms
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+// Result templates: {FieldPath} placeholders, one display line per template line
+const TEMPLATE_PLACEHOLDER = /\{([^{}]+)\}/g;
+// Separators left at the start or end of a template line when a field is empty
+const TEMPLATE_DANGLING_SEPARATORS = /^[\s,;:|/•·\-–—]+|[\s,;:|/•·\-–—]+$/g;
+const ICON_NAME_PATTERN = /^(standard|custom|utility|action|doctype):[\w-]+$/;
+const RECORD_TYPE_FIELD = 'RecordType.DeveloperName';
+
+// Record filter operators that take no value; other conditions bound to an empty Flow resource hold the search
+const NULL_OPERATORS = ['isNull', 'isNotNull'];
+
+// Bulk paste; MAX_PASTE_VALUES matches the limit enforced by resolveRecords
+const MAX_PASTE_VALUES = 200;
+const DEFAULT_PASTE_ERROR = 'The pasted values could not be matched. Please try again.';
+
+// Errors; the Apex methods return a serialized LookupError with a code
+const UNKNOWN_ERROR_CODE = 'UNKNOWN_ERROR';
+const DEFAULT_SEARCH_ERROR = 'An error occurred while searching. Please try again or contact your administrator.';
+const DEFAULT_SELECTION_ERROR = 'The selected records could not be loaded. Please try again or contact your administrator.';
+// Flow Builder runs debugged flows inside its own app
+const FLOW_BUILDER_PATH = '/builder_platform_interaction/';
 
 /**
  * @description MS Flow Lookup Lightning Web Component
@@ -11,14 +70,133 @@ import getObjectIconName from '@salesforce/apex/MsFlowLookupController.getObject
  * @author Marc Swan
  * @date 2025
  */
-export default class MsFlowLookupLWC extends LightningElement {
+export default class MsFlowLookupLWC extends NavigationMixin(LightningElement) {
     // Input properties (configurable in Flow)
-    @api objectApiName = 'Account';
-    @api primaryField = 'Name';
-    @api secondaryFields = '';
-    @api tertiaryFields = '';
+    // Object, field and filter inputs are getters/setters so reactive screens can change them while on screen
+
+    /**
+     * @description Object API name getter/setter
+     * Single object, or comma-separated list for a multi-object lookup (e.g. 'Contact,Lead')
+     */
+    @api
+    get objectApiName() {
+        return this._objectApiName;
+    }
+    set objectApiName(value) {
+        this.updateConfigInput('_objectApiName', value, 'object');
+    }
+
+    /**
+     * @description Object field mappings getter/setter
+     * JSON map of { objectApiName: { primaryField, secondaryFields, tertiaryFields } } for additional objects
+     */
+    @api
+    get objectFieldMappings() {
+        return this._objectFieldMappings;
+    }
+    set objectFieldMappings(value) {
+        this.updateConfigInput('_objectFieldMappings', value, 'object');
+    }
+
+    /**
+     * @description Primary field getter/setter
+     */
+    @api
+    get primaryField() {
+        return this._primaryField;
+    }
+    set primaryField(value) {
+        this.updateConfigInput('_primaryField', value, 'fields');
+    }
+
+    /**
+     * @description Secondary fields getter/setter
+     */
+    @api
+    get secondaryFields() {
+        return this._secondaryFields;
+    }
+    set secondaryFields(value) {
+        this.updateConfigInput('_secondaryFields', value, 'fields');
+    }
+
+    /**
+     * @description Tertiary fields getter/setter
+     */
+    @api
+    get tertiaryFields() {
+        return this._tertiaryFields;
+    }
+    set tertiaryFields(value) {
+        this.updateConfigInput('_tertiaryFields', value, 'fields');
+    }
+
+    /**
+     * @description Result template getter/setter
+     * Layout of the dropdown options of the first object, e.g. '{Name} — {Industry}' with one line per row
+     */
+    @api
+    get resultTemplate() {
+        return this._resultTemplate;
+    }
+    set resultTemplate(value) {
+        this.updateConfigInput('_resultTemplate', value, 'fields');
+    }
+
+    /**
+     * @description Icon field getter/setter
+     * Field of the first object holding an SLDS icon name (e.g. standard:account) for each record
+     */
+    @api
+    get iconField() {
+        return this._iconField;
+    }
+    set iconField(value) {
+        this.updateConfigInput('_iconField', value, 'fields');
+    }
+
+    /**
+     * @description Details fields getter/setter
+     * Comma-separated fields of the first object shown in the details panel of the highlighted result
+     */
+    @api
+    get detailFields() {
+        return this._detailFields;
+    }
+    set detailFields(value) {
+        this.updateConfigInput('_detailFields', value, 'fields');
+    }
+
+    /**
+     * @description Record type icons getter/setter
+     * JSON map of record type developer name to SLDS icon name, for records of the first object
+     */
+    @api
+    get recordTypeIcons() {
+        return this._recordTypeIcons;
+    }
+    set recordTypeIcons(value) {
+        this.updateConfigInput('_recordTypeIcons', value, 'fields');
+    }
+
+    /**
+     * @description Quick filter field getter/setter
+     * Picklist field, or RecordTypeId, of the first object whose values are offered as filter buttons above the results
+     */
+    @api
+    get quickFilterField() {
+        return this._quickFilterField;
+    }
+    set quickFilterField(value) {
+        this.updateConfigInput('_quickFilterField', value, 'fields');
+    }
+
     @api allowMultipleSelection = false;
     @api displayFormat = 'pills'; // 'pills' or 'datatable'
+    @api allowReorder = false; // Let users reorder the datatable rows, which sets the order of Selected Record IDs
+    @api hideRemoveAction = false; // Leave the Remove action out of the datatable row actions
+    @api externalIdField = ''; // Field of the first object that pasted values are matched against, besides Id and the primary field
+    @api warnOnDuplicates = false; // Flag results that share their primary field value with another result
     
     /**
      * @description Table fields getter/setter for datatable display
@@ -42,17 +220,206 @@ export default class MsFlowLookupLWC extends LightningElement {
     }
     
     @api placeholder = 'Search...';
+    @api searchMode = 'soql'; // 'soql' (contains match), 'soslName' or 'soslAll' (search index, ranked by relevance)
     @api selectedRecordsTitle = 'Selected Records'; // Title for datatable display
-    @api recordLimit = 10; // This property exists for backward compatibility but is ignored
-    @api whereClause = ''; // This property exists for backward compatibility but is ignored
+    @api allowCreate = false; // Show a "New {Object}" item that creates a record without leaving the flow
+    @api createFields = ''; // Comma-separated fields of the create form; the full page layout is used when empty
+    @api pageSize = DEFAULT_PAGE_SIZE; // Search results loaded per page, up to 50
+    @api searchDelay = DEFAULT_SEARCH_DELAY; // Pause in typing, in ms, before the search runs, up to 2000
+    @api minSearchLength = MIN_SEARCH_LENGTH; // Characters to type before the search runs, 2 to 10
+    @api defaultResults = 'recent'; // Results shown when the search box is empty: 'none', 'recent' or 'custom'
+    @api defaultFilterConditions = ''; // JSON conditions of the 'custom' default results, combined with AND
+    @api rememberRecentlyUsed = false; // Put records recently selected in this lookup first in the 'recent' results
+    @api recordLimit = 10; // This property exists for backward compatibility but is ignored; use pageSize
+    @api whereClause = ''; // This property exists for backward compatibility but is ignored; use filterConditions
+
+    // Record filter (configured in the property editor filter builder)
+
+    /**
+     * @description Filter conditions getter/setter
+     * JSON array of { field, operator, valueSource, value, variableSlot }
+     */
+    @api
+    get filterConditions() {
+        return this._filterConditions;
+    }
+    set filterConditions(value) {
+        this.updateConfigInput('_filterConditions', value, 'filter');
+    }
+
+    /**
+     * @description Filter logic getter/setter
+     * 'AND', 'OR' or custom logic such as '1 AND (2 OR 3)'
+     */
+    @api
+    get filterLogic() {
+        return this._filterLogic;
+    }
+    set filterLogic(value) {
+        this.updateConfigInput('_filterLogic', value, 'filter');
+    }
+
+    /**
+     * @description Flow values referenced by filter conditions (variable slots 1-3)
+     */
+    @api
+    get filterValue1() {
+        return this._filterValue1;
+    }
+    set filterValue1(value) {
+        this.updateConfigInput('_filterValue1', value, 'filter');
+    }
+
+    @api
+    get filterValue2() {
+        return this._filterValue2;
+    }
+    set filterValue2(value) {
+        this.updateConfigInput('_filterValue2', value, 'filter');
+    }
+
+    @api
+    get filterValue3() {
+        return this._filterValue3;
+    }
+    set filterValue3(value) {
+        this.updateConfigInput('_filterValue3', value, 'filter');
+    }
+
+    // Dependent lookup: restricts results to children of parentRecordId
+    @api parentRelationshipField = ''; // Lookup field on this object, e.g. AccountId on Contact
+
+    /**
+     * @description Parent record Id getter/setter for dependent lookups
+     * Re-queries and drops selections under the previous parent when the value changes at runtime
+     */
+    @api
+    get parentRecordId() {
+        return this._parentRecordId;
+    }
+    set parentRecordId(value) {
+        const previousValue = this._parentRecordId;
+        this._parentRecordId = value || '';
+        if (this._connected && previousValue !== this._parentRecordId) {
+            this.handleParentRecordChange();
+        }
+    }
+
+    // Flow screen validation, checked by validate() when the user navigates
+    @api required = false;
+    @api minSelections; // Multiple selection only
+    @api maxSelections; // Multiple selection only
+    @api customErrorMessage = ''; // Replaces the default validation messages
+    @api showDiagnostics = false; // Show the technical details of search errors outside Flow Builder debug runs too
+
+    // Pre-selection (multiple selection), e.g. from a Flow collection
+    @api preselectedRecordIds = []; // Record Ids to select when the screen loads
+    @api preselectedRecords = []; // Records to select when the screen loads; only their Ids are used
 
     // Output properties for Flow
-    @api recordId = '';
-    @api primaryFieldValue = '';
-    @api secondaryFieldValue = '';
-    @api tertiaryFieldValue = '';
-    @api selectedRecordIds = [];
-    @api selectedRecords = [];
+    // Values are kept in private fields; the component never reassigns its public properties
+
+    /**
+     * @description Selected record Id getter/setter (single selection)
+     * Also an input: Flow hands the selection back after Back/Next, and other screen
+     * components can drive the lookup by changing it
+     */
+    @api
+    get recordId() {
+        return this._recordId;
+    }
+    set recordId(value) {
+        const recordId = value || '';
+        if (recordId === this._recordId) return;
+        
+        this._recordId = recordId;
+        if (this._connected && !this.allowMultipleSelection) {
+            this.handleRecordIdChange();
+        }
+    }
+
+    /**
+     * @description Selected record Ids getter/setter (multiple selection)
+     * Also an input, like recordId
+     */
+    @api
+    get selectedRecordIds() {
+        return this._selectedRecordIds;
+    }
+    set selectedRecordIds(value) {
+        const recordIds = this.toIdArray(value);
+        if (recordIds.join(',') === this._selectedRecordIds.join(',')) return;
+        
+        this._selectedRecordIds = recordIds;
+        if (this._connected && this.allowMultipleSelection) {
+            this.handleSelectedRecordIdsChange();
+        }
+    }
+
+    @api
+    get primaryFieldValue() {
+        return this._primaryFieldValue;
+    }
+    set primaryFieldValue(value) {
+        this._primaryFieldValue = value || '';
+    }
+
+    @api
+    get secondaryFieldValue() {
+        return this._secondaryFieldValue;
+    }
+    set secondaryFieldValue(value) {
+        this._secondaryFieldValue = value || '';
+    }
+
+    @api
+    get tertiaryFieldValue() {
+        return this._tertiaryFieldValue;
+    }
+    set tertiaryFieldValue(value) {
+        this._tertiaryFieldValue = value || '';
+    }
+
+    @api
+    get selectedRecords() {
+        return this._selectedRecords;
+    }
+    set selectedRecords(value) {
+        this._selectedRecords = value || [];
+    }
+
+    /**
+     * @description Selected record of the first object with its queried field values (single selection only)
+     */
+    @api
+    get selectedRecord() {
+        return this._selectedRecord;
+    }
+    set selectedRecord(value) {
+        this._selectedRecord = value || null;
+    }
+
+    /**
+     * @description Object of the selected record (single selection only)
+     */
+    @api
+    get selectedObjectApiName() {
+        return this._selectedObjectApiName;
+    }
+    set selectedObjectApiName(value) {
+        this._selectedObjectApiName = value || '';
+    }
+
+    /**
+     * @description Object of each selected record, in the order of selectedRecordIds
+     */
+    @api
+    get selectedObjectApiNames() {
+        return this._selectedObjectApiNames;
+    }
+    set selectedObjectApiNames(value) {
+        this._selectedObjectApiNames = value || [];
+    }
 
     // Internal properties
     @track searchTerm = '';
@@ -62,12 +429,76 @@ export default class MsFlowLookupLWC extends LightningElement {
     @track showDropdown = false;
     @track hasError = false;
     @track errorMessage = '';
+    @track errorDiagnostics = null; // Code and admin message of the last search or selection load error
+    @track selectionLoadError = ''; // Shown when the selected records could not be loaded
+    @track skippedSearchFields = null; // Search fields left out by the server's search field cap
+    @track refineSearchMessage = ''; // Hint returned by searchRecords for a search too short or too broad to run
+    @track objectIconNames = {}; // Icon name by object API name
+    @track objectLabels = {}; // Object label by object API name
+    @track showCreateModal = false;
+    @track validationError = '';
+    @track hasMoreResults = false;
+    @track tableFieldDescribes = []; // Field describes of the datatable columns, from getFieldDescribes
+    @track linkUrls = {}; // Record page URLs of the datatable link columns by record Id, from the navigation service
+    @track templateFieldDescribes = []; // Field describes of the result template fields, used to format values
+    @track detailFieldDescribes = []; // Field describes of the details panel fields, used to label and format values
+    @track inaccessibleFields = {}; // Configured fields the user can't read by object API name, left out by Apex and hidden
+    @track recordDetails = {}; // Records with the details fields from getRecordDetails by Id, null when not returned
+    @track quickFilterOptions = []; // Values of the quick filter field, from getQuickFilterOptions
+    @track activeQuickFilter = ''; // Selected quick filter value, empty for all records
+    @track isShowingRecent = false; // Results are the recent records shown for an empty search
+    @track isLoadingMore = false;
+    @track activeOptionIndex = -1; // Option highlighted with the arrow keys, -1 when none
+    @track sortedBy; // Datatable column the selected records were last sorted by
+    @track sortedDirection = 'asc';
+    @track isReordering = false; // Datatable is swapped for the reorder list
+    @track reorderAnnouncement = ''; // Screen reader message after a row is moved
+    @track pasteResolutions = null; // Pasted values under review, from resolveRecords; null when there is no paste
+    @track isResolvingPaste = false;
+    @track pasteError = '';
     
     // Private properties
     searchTimeout;
-    objectIconName = 'standard:account';
+    _idPrefix = `ms-flow-lookup-${++instanceCount}`;
     iconLoaded = false;
+    _activeObjectApiName = '';
     _tableFields = [];
+    _parentRecordId = '';
+    _connected = false;
+    _pendingConfigChanges = new Set();
+    _draggedRecordId = null;
+    _loadingDetailIds = new Set();
+    _searchRequestId = 0; // Incremented by every search, so responses to older searches are ignored
+    _searchCache = new Map(); // Cached first pages by getSearchCacheKey
+    _pendingSearches = new Map(); // searchRecords calls in flight by getSearchCacheKey
+    
+    // Backing fields of the reactive inputs
+    _objectApiName = 'Account';
+    _objectFieldMappings = '';
+    _primaryField = 'Name';
+    _secondaryFields = '';
+    _tertiaryFields = '';
+    _resultTemplate = '';
+    _iconField = '';
+    _detailFields = '';
+    _recordTypeIcons = '';
+    _quickFilterField = '';
+    _filterConditions = '';
+    _filterLogic = 'AND';
+    _filterValue1;
+    _filterValue2;
+    _filterValue3;
+    
+    // Backing fields of the outputs
+    _recordId = '';
+    _selectedRecordIds = [];
+    _primaryFieldValue = '';
+    _secondaryFieldValue = '';
+    _tertiaryFieldValue = '';
+    _selectedRecords = [];
+    _selectedRecord = null;
+    _selectedObjectApiName = '';
+    _selectedObjectApiNames = [];
 
     /**
      * @description Lifecycle hook called when component is inserted into DOM
@@ -76,6 +507,7 @@ export default class MsFlowLookupLWC extends LightningElement {
     async connectedCallback() {
         console.log('FlowLookup: Connected with properties:', {
             objectApiName: this.objectApiName,
+            objectFieldMappings: this.objectFieldMappings,
             primaryField: this.primaryField,
             allowMultipleSelection: this.allowMultipleSelection
         });
@@ -88,117 +520,980 @@ export default class MsFlowLookupLWC extends LightningElement {
             console.warn('FlowLookup: No primaryField provided');
         }
         
-        // Get the proper icon name for the object
-        try {
-            const iconName = await getObjectIconName({ objectApiName: this.objectApiName });
-            this.objectIconName = iconName || 'standard:account';
-            this.iconLoaded = true;
-            console.log('Loaded icon for', this.objectApiName, ':', this.objectIconName);
-        } catch (error) {
-            console.error('Error getting object icon:', error);
-            // Use a fallback based on object name
-            this.objectIconName = this.getDefaultIconName();
-            this.iconLoaded = true;
+        this._connected = true;
+        
+        // Get the proper icon name for each object
+        await this.loadObjectIcons();
+        
+        // Labels name the object switcher entries and the "New {Object}" item
+        if (this.isPolymorphic || this.allowCreate) {
+            await this.loadObjectLabels();
         }
         
-        // Load pre-selected record if recordId is provided
-        if (this.recordId && !this.selectedRecordsInternal.length) {
-            await this.loadSelectedRecord();
+        // Datatable columns add fields to the queries, so describe them before loading records
+        await Promise.all([
+            this.loadTableFieldDescribes(),
+            this.loadTemplateFieldDescribes(),
+            this.loadDetailFieldDescribes(),
+            this.loadQuickFilterOptions(),
+            this.loadInaccessibleFields()
+        ]);
+        
+        // Load pre-selected records, including selections restored by Flow after Back/Next
+        const initialRecordIds = this.initialRecordIds;
+        if (initialRecordIds.length && !this.selectedRecordsInternal.length) {
+            await this.loadSelectedRecords(initialRecordIds);
         }
     }
 
-    // Computed properties
-    
     /**
-     * @description Determines if single selection display should be shown
-     * @return {boolean} True if single selection mode with selected record
+     * @description Describes the datatable columns: labels, types and the fields that link to related records
+     * Columns fall back to text with a label derived from the API name when the describe fails
      */
-    get showSingleSelection() {
-        return !this.allowMultipleSelection && this.selectedRecordsInternal.length > 0;
+    async loadTableFieldDescribes() {
+        if (!this.allowMultipleSelection || this.displayFormat !== 'datatable' || !this.primaryObjectApiName) {
+            this.tableFieldDescribes = [];
+            return;
+        }
+        
+        try {
+            const describes = await getFieldDescribes({
+                objectApiName: this.primaryObjectApiName,
+                fieldPaths: this.tableFieldsToShow
+            });
+            this.tableFieldDescribes = describes || [];
+            this.generateLinkUrls();
+        } catch (error) {
+            console.error('Error loading table field describes:', error);
+            this.tableFieldDescribes = [];
+        }
     }
 
     /**
-     * @description Determines if multiple selection display should be shown
-     * @return {boolean} True if multiple selection mode with selected records
-     */
-    get showMultipleSelection() {
-        return this.allowMultipleSelection && this.selectedRecordsInternal.length > 0;
-    }
-    
-    /**
-     * @description Determines if pill container should be displayed
-     * @return {boolean} True if multiple selection with pills display format
+     * @description Describes the fields of the result template so their values are formatted by type
+     * Values are shown as returned by Apex when the describe fails
      */
-    get showPillContainer() {
-        return this.showMultipleSelection && this.displayFormat === 'pills';
+    async loadTemplateFieldDescribes() {
+        const templateFields = this.templateFields;
+        if (!templateFields.length || !this.primaryObjectApiName) {
+            this.templateFieldDescribes = [];
+            return;
+        }
+        
+        try {
+            const describes = await getFieldDescribes({
+                objectApiName: this.primaryObjectApiName,
+                fieldPaths: templateFields
+            });
+            this.templateFieldDescribes = describes || [];
+        } catch (error) {
+            console.error('Error loading template field describes:', error);
+            this.templateFieldDescribes = [];
+        }
     }
-    
+
     /**
-     * @description Determines if datatable should be displayed
-     * @return {boolean} True if multiple selection with datatable display format
+     * @description Loads the describes of the details panel fields, which give their labels and types
      */
-    get showDatatable() {
-        return this.showMultipleSelection && this.displayFormat === 'datatable';
+    async loadDetailFieldDescribes() {
+        const detailFields = this.detailFieldsArray;
+        if (!detailFields.length || !this.primaryObjectApiName) {
+            this.detailFieldDescribes = [];
+            return;
+        }
+        
+        try {
+            const describes = await getFieldDescribes({
+                objectApiName: this.primaryObjectApiName,
+                fieldPaths: detailFields
+            });
+            this.detailFieldDescribes = describes || [];
+        } catch (error) {
+            console.error('Error loading detail field describes:', error);
+            this.detailFieldDescribes = [];
+        }
     }
-    
+
     /**
-     * @description Generates column configuration for datatable
-     * @return {Array} Array of column definitions for lightning-datatable
+     * @description Loads the configured fields of each object that the user can't read
+     * Their datatable columns and details lines are hidden; nothing is hidden when the call fails
      */
-    get datatableColumns() {
-        // If no table fields are specified, use primary field
-        const fieldsToShow = this._tableFields && this._tableFields.length > 0 
-            ? this._tableFields 
-            : [this.primaryField];
-            
-        console.log('Datatable columns for fields:', fieldsToShow);
-            
-        return fieldsToShow.map(field => ({
-            label: this.getFieldLabel(field),
-            fieldName: field,
-            type: 'text'
-        }));
+    async loadInaccessibleFields() {
+        try {
+            const entries = await Promise.all(this.objectApiNames.map(async objectApiName => {
+                const isPrimaryObject = objectApiName === this.primaryObjectApiName;
+                const fieldPaths = [
+                    ...this.getQueryFields(objectApiName),
+                    ...(isPrimaryObject ? [...this.tableFieldsToShow, ...this.detailFieldsArray] : [])
+                ].filter((field, index, array) => field && array.indexOf(field) === index);
+                const fields = await getInaccessibleFields({ objectApiName, fieldPaths });
+                return [objectApiName, fields || []];
+            }));
+            this.inaccessibleFields = Object.fromEntries(entries);
+        } catch (error) {
+            console.error('Error loading inaccessible fields:', error);
+            this.inaccessibleFields = {};
+        }
     }
-    
+
     /**
-     * @description Formats selected records for datatable display
-     * @return {Array} Array of record data for lightning-datatable
+     * @description Adds fields that Apex left out of a query because the user can't read them
+     * @param {string} objectApiName - Queried object
+     * @param {Array} fields - Fields reported by searchRecords
      */
-    get datatableData() {
-        return this.selectedRecordsInternal.map(record => {
-            const data = { Id: record.Id };
-            
-            // Add all fields from the original record
-            if (record.originalRecord) {
-                Object.keys(record.originalRecord).forEach(key => {
-                    data[key] = record.originalRecord[key];
-                });
-            }
-            
-            // Ensure primary field is included
-            data[this.primaryField] = record.primaryValue;
-            
-            return data;
-        });
+    addInaccessibleFields(objectApiName, fields) {
+        const knownFields = this.inaccessibleFields[objectApiName] || [];
+        const newFields = (fields || []).filter(field => !knownFields.includes(field));
+        if (newFields.length) {
+            this.inaccessibleFields = { ...this.inaccessibleFields, [objectApiName]: [...knownFields, ...newFields] };
+        }
     }
-    
+
     /**
-     * @description Generates user-friendly label from field API name
-     * @param {string} fieldName - API name of the field
-     * @return {string} Formatted field label
+     * @description Determines if the user can read a configured field
+     * @param {string} objectApiName - Object of the field
+     * @param {string} field - Field API name or relationship path
+     * @return {boolean} False when Apex reported the field as inaccessible
      */
-    getFieldLabel(fieldName) {
-        // Try to get a user-friendly label for the field
-        // This is a simplified version - in production you might want to use field describe info
-        return fieldName.replace(/__c$/, '').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    isFieldAccessible(objectApiName, field) {
+        return !(this.inaccessibleFields[objectApiName] || []).includes(field);
     }
-    
+
     /**
-     * @description Gets default icon name based on object type
-     * @return {string} SLDS icon name
+     * @description Loads the details fields of the search results through getRecordDetails
+     * Called when a result is highlighted; the whole page of results is loaded in one call
+     * so moving through the results doesn't call Apex for each row
      */
-    getDefaultIconName() {
-        // Client-side fallback for common objects
+    async loadRecordDetails() {
+        const activeResult = this.activeResult;
+        if (!this.showRecordDetails || !activeResult || activeResult.Id in this.recordDetails ||
+            this._loadingDetailIds.has(activeResult.Id)) {
+            return;
+        }
+        
+        const recordIds = this.filteredSearchResults
+            .filter(record => record.objectApiName === this.primaryObjectApiName)
+            .map(record => record.Id)
+            .filter(recordId => !(recordId in this.recordDetails) && !this._loadingDetailIds.has(recordId));
+        recordIds.forEach(recordId => this._loadingDetailIds.add(recordId));
+        
+        try {
+            const records = await getRecordDetails({
+                objectApiName: this.primaryObjectApiName,
+                recordIds,
+                fieldsToReturn: this.detailFieldsArray
+            });
+            const recordDetails = { ...this.recordDetails };
+            // Records the user can't access aren't returned; don't ask for them again
+            recordIds.forEach(recordId => {
+                recordDetails[recordId] = null;
+            });
+            (records || []).forEach(record => {
+                recordDetails[record.Id] = record;
+            });
+            this.recordDetails = recordDetails;
+        } catch (error) {
+            console.error('Error loading record details:', error);
+        } finally {
+            recordIds.forEach(recordId => this._loadingDetailIds.delete(recordId));
+        }
+    }
+
+    /**
+     * @description Loads the values of the quick filter field
+     * The selected value is cleared when the field no longer offers it; no buttons are shown when the call fails
+     */
+    async loadQuickFilterOptions() {
+        if (!this.quickFilterField || !this.primaryObjectApiName) {
+            this.quickFilterOptions = [];
+            this.activeQuickFilter = '';
+            return;
+        }
+        
+        try {
+            const options = await getQuickFilterOptions({
+                objectApiName: this.primaryObjectApiName,
+                fieldName: this.quickFilterField
+            });
+            this.quickFilterOptions = options || [];
+        } catch (error) {
+            console.error('Error loading quick filter options:', error);
+            this.quickFilterOptions = [];
+        }
+        
+        if (!this.quickFilterOptions.some(option => option.value === this.activeQuickFilter)) {
+            this.activeQuickFilter = '';
+        }
+    }
+
+    /**
+     * @description Loads the icon of every configured object
+     * Falls back to a client-side icon map when the Apex call fails
+     */
+    async loadObjectIcons() {
+        const iconNames = {};
+        await Promise.all(this.objectApiNames.map(async objectApiName => {
+            try {
+                const iconName = await getObjectIconName({ objectApiName });
+                iconNames[objectApiName] = iconName || this.getDefaultIconName(objectApiName);
+            } catch (error) {
+                console.error('Error getting object icon:', error);
+                // Use a fallback based on object name
+                iconNames[objectApiName] = this.getDefaultIconName(objectApiName);
+            }
+        }));
+        this.objectIconNames = iconNames;
+        this.iconLoaded = true;
+    }
+
+    /**
+     * @description Loads the object labels shown in the object switcher
+     * Falls back to the API names when the Apex call fails
+     */
+    async loadObjectLabels() {
+        try {
+            const labels = await getObjectLabels({ objectApiNames: this.objectApiNames });
+            this.objectLabels = labels || {};
+        } catch (error) {
+            console.error('Error getting object labels:', error);
+            this.objectLabels = {};
+        }
+    }
+
+    // Computed properties
+    
+    /**
+     * @description Parses the configured object API names
+     * @return {Array} Array of object API names, primary object first
+     */
+    get objectApiNames() {
+        if (!this.objectApiName) return [];
+        
+        return String(this.objectApiName)
+            .split(',')
+            .map(objectApiName => objectApiName.trim())
+            .filter((objectApiName, index, array) => objectApiName && array.indexOf(objectApiName) === index); // Remove duplicates
+    }
+
+    /**
+     * @description Gets the primary object, which filters, dependent lookups and Selected Records apply to
+     * @return {string} Object API name
+     */
+    get primaryObjectApiName() {
+        return this.objectApiNames[0] || '';
+    }
+
+    /**
+     * @description Determines if the lookup searches more than one object
+     * @return {boolean} True if multiple objects are configured
+     */
+    get isPolymorphic() {
+        return this.objectApiNames.length > 1;
+    }
+
+    /**
+     * @description Gets the object currently searched
+     * @return {string} Object API name chosen in the object switcher, or the primary object
+     */
+    get activeObjectApiName() {
+        return this.objectApiNames.includes(this._activeObjectApiName)
+            ? this._activeObjectApiName
+            : this.primaryObjectApiName;
+    }
+
+    /**
+     * @description Parses the field mappings configured for additional objects
+     * @return {Object} Map of object API name to field mapping
+     */
+    get objectFieldMappingsMap() {
+        try {
+            if (!this.objectFieldMappings) return {};
+            
+            const mappings = typeof this.objectFieldMappings === 'string'
+                ? JSON.parse(this.objectFieldMappings)
+                : this.objectFieldMappings;
+            return mappings && typeof mappings === 'object' ? mappings : {};
+        } catch (error) {
+            console.error('Error parsing object field mappings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @description Gets the display fields of an object
+     * The primary object uses the component's field properties, additional objects their field mapping
+     * @param {string} objectApiName - Object API name
+     * @return {Object} Object with primaryField, and secondaryFields, tertiaryFields and createFields arrays
+     */
+    getObjectConfig(objectApiName) {
+        if (!objectApiName || objectApiName === this.primaryObjectApiName) {
+            return {
+                primaryField: this.primaryField,
+                secondaryFields: this.secondaryFieldsArray,
+                tertiaryFields: this.tertiaryFieldsArray,
+                createFields: this.parseFieldList(this.createFields)
+            };
+        }
+        
+        const mapping = this.objectFieldMappingsMap[objectApiName] || {};
+        return {
+            primaryField: mapping.primaryField || 'Name',
+            secondaryFields: this.parseFieldList(mapping.secondaryFields),
+            tertiaryFields: this.parseFieldList(mapping.tertiaryFields),
+            createFields: this.parseFieldList(mapping.createFields)
+        };
+    }
+
+    /**
+     * @description Parses a field list from a mapping
+     * @param {string|Array} fields - Comma-separated string or array of field names
+     * @return {Array} Array of field names
+     */
+    parseFieldList(fields) {
+        if (!fields) return [];
+        if (Array.isArray(fields)) return fields.filter(f => f);
+        return String(fields).split(',').map(f => f.trim()).filter(f => f);
+    }
+
+    /**
+     * @description Gets the icon of an object
+     * @param {string} objectApiName - Object API name
+     * @return {string} SLDS icon name
+     */
+    getObjectIcon(objectApiName) {
+        return this.objectIconNames[objectApiName] || this.getDefaultIconName(objectApiName);
+    }
+
+    /**
+     * @description Gets the icon of a record
+     * Records of the first object use the icon field or their record type's icon when configured
+     * @param {Object} record - Record returned by Apex
+     * @param {string} objectApiName - Object of the record
+     * @return {string} SLDS icon name
+     */
+    getRecordIcon(record, objectApiName) {
+        if (objectApiName === this.primaryObjectApiName) {
+            const fieldIcon = this.iconField ? this.getFieldValue(record, this.iconField) : null;
+            if (typeof fieldIcon === 'string' && ICON_NAME_PATTERN.test(fieldIcon.trim())) {
+                return fieldIcon.trim();
+            }
+            
+            const recordTypeIcon = this.recordTypeIconMap[this.getFieldValue(record, RECORD_TYPE_FIELD)];
+            if (recordTypeIcon) {
+                return recordTypeIcon;
+            }
+        }
+        return this.getObjectIcon(objectApiName);
+    }
+
+    /**
+     * @description Parses the record type icon mapping configured in the property editor
+     * @return {Object} Map of record type developer name to SLDS icon name
+     */
+    get recordTypeIconMap() {
+        try {
+            const mapping = this.recordTypeIcons ? JSON.parse(this.recordTypeIcons) : {};
+            return mapping && typeof mapping === 'object' && !Array.isArray(mapping) ? mapping : {};
+        } catch (error) {
+            console.error('Error parsing record type icons:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @description Parses the result template into lines of text and field parts
+     * @return {Array} One array of { text } and { field } parts per non-empty template line
+     */
+    get templateLines() {
+        return (this.resultTemplate || '')
+            .split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => line.split(TEMPLATE_PLACEHOLDER).map((part, index) => (
+                // split() puts the captured field names at the odd indexes
+                index % 2 === 1 ? { field: part.trim() } : { text: part }
+            )));
+    }
+
+    /**
+     * @description Gets the fields used in the result template
+     * @return {Array} Deduplicated field paths
+     */
+    get templateFields() {
+        return this.templateLines
+            .flatMap(parts => parts.filter(part => part.field).map(part => part.field))
+            .filter((field, index, array) => array.indexOf(field) === index);
+    }
+
+    /**
+     * @description Renders the result template for a record
+     * Lines whose fields are all empty are left out
+     * @param {Object} record - Record returned by Apex
+     * @return {Array} Display text of each line
+     */
+    renderTemplateLines(record) {
+        return this.templateLines
+            .map(parts => {
+                const fieldParts = parts.filter(part => part.field);
+                const values = parts.map(part => (part.field ? this.formatFieldValue(record, part.field) : part.text));
+                const hasValue = fieldParts.length === 0 || parts.some((part, index) => part.field && values[index]);
+                return hasValue ? values.join('').replace(TEMPLATE_DANGLING_SEPARATORS, '') : '';
+            })
+            .filter(line => line);
+    }
+
+    /**
+     * @description Determines if the dropdown options of an object use the result template
+     * @param {string} objectApiName - Object API name
+     * @return {boolean} True for the first object when a template is configured
+     */
+    hasResultTemplate(objectApiName) {
+        return objectApiName === this.primaryObjectApiName && this.templateLines.length > 0;
+    }
+
+    /**
+     * @description Formats a field value for display according to its type
+     * @param {Object} record - Record returned by Apex
+     * @param {string} fieldPath - Field API name or relationship path
+     * @return {string} Formatted value, or an empty string when the field is empty
+     */
+    formatFieldValue(record, fieldPath) {
+        const value = this.getFieldValue(record, fieldPath);
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+        
+        const describe = [...this.templateFieldDescribes, ...this.detailFieldDescribes]
+            .find(fieldDescribe => fieldDescribe.fieldName === fieldPath);
+        const scale = describe ? Number(describe.scale) || 0 : 0;
+        try {
+            switch (describe && describe.type) {
+                case 'currency':
+                    return new Intl.NumberFormat(LOCALE, {
+                        style: 'currency',
+                        currency: CURRENCY,
+                        minimumFractionDigits: scale,
+                        maximumFractionDigits: scale
+                    }).format(value);
+                case 'percent':
+                    return new Intl.NumberFormat(LOCALE, { style: 'percent', maximumFractionDigits: scale }).format(value / 100);
+                case 'double':
+                case 'integer':
+                case 'long':
+                    return new Intl.NumberFormat(LOCALE, { maximumFractionDigits: scale }).format(value);
+                case 'date':
+                    // Dates have no time zone, so format them as UTC to keep the day
+                    return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(`${value}T00:00:00Z`));
+                case 'datetime':
+                    return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'medium', timeStyle: 'short', timeZone: TIME_ZONE }).format(new Date(value));
+                case 'boolean':
+                    return value ? 'Yes' : 'No';
+                case 'multipicklist':
+                    return String(value).split(';').join(', ');
+                default:
+                    return String(value);
+            }
+        } catch (error) {
+            console.warn('Could not format value of', fieldPath, ':', error);
+            return String(value);
+        }
+    }
+
+    /**
+     * @description Gets the label of an object
+     * @param {string} objectApiName - Object API name
+     * @return {string} Object label, or the API name when not loaded
+     */
+    getObjectLabel(objectApiName) {
+        return this.objectLabels[objectApiName] || objectApiName;
+    }
+
+    /**
+     * @description Gets the label of the object switcher button
+     * @return {string} Label of the active object
+     */
+    get activeObjectLabel() {
+        return this.getObjectLabel(this.activeObjectApiName);
+    }
+
+    /**
+     * @description Gets the menu items of the object switcher
+     * @return {Array} Menu item configurations
+     */
+    get objectMenuItems() {
+        return this.objectApiNames.map(objectApiName => ({
+            value: objectApiName,
+            label: this.getObjectLabel(objectApiName),
+            iconName: this.getObjectIcon(objectApiName),
+            checked: objectApiName === this.activeObjectApiName
+        }));
+    }
+
+    /**
+     * @description Gets the icon of the selected record in single selection mode
+     * @return {string} SLDS icon name
+     */
+    get selectedRecordIconName() {
+        const selectedRecord = this.selectedRecordsInternal[0];
+        return selectedRecord ? selectedRecord.iconName : this.getObjectIcon(this.activeObjectApiName);
+    }
+
+    /**
+     * @description Gets CSS class for the form element, flagging validation errors
+     * @return {string} CSS class string
+     */
+    get formElementClass() {
+        return `slds-form-element ${this.validationError ? 'slds-has-error' : ''}`;
+    }
+
+    /**
+     * @description Gets the configured maximum number of selections
+     * @return {number} Maximum, or 0 when unlimited or in single selection mode
+     */
+    get maxSelectionCount() {
+        return this.allowMultipleSelection ? Number(this.maxSelections) || 0 : 0;
+    }
+
+    /**
+     * @description Determines if the "New {Object}" item should be shown in the dropdown
+     * @return {boolean} True if record creation is enabled and the lookup can search
+     */
+    get showCreateOption() {
+        return this.allowCreate && !this.isLoading && !this.isSearchDisabled;
+    }
+
+    /**
+     * @description Gets the label of the "New {Object}" item and create form
+     * @return {string} Label such as "New Contact"
+     */
+    get createLabel() {
+        return `New ${this.getObjectLabel(this.activeObjectApiName)}`;
+    }
+
+    /**
+     * @description Gets the fields shown in the create form for the active object
+     * @return {Array} Array of field API names, empty to use the page layout
+     */
+    get createFieldsArray() {
+        return this.getObjectConfig(this.activeObjectApiName).createFields;
+    }
+
+    /**
+     * @description Determines if the create form shows a configured field list
+     * @return {boolean} True if create fields are configured for the active object
+     */
+    get hasCreateFields() {
+        return this.createFieldsArray.length > 0;
+    }
+
+    /**
+     * @description Gets CSS class for the combobox group wrapping the object switcher
+     * @return {string} CSS class string
+     */
+    get comboboxGroupClass() {
+        return this.isPolymorphic ? 'slds-combobox-group' : '';
+    }
+
+    /**
+     * @description Determines if single selection display should be shown
+     * @return {boolean} True if single selection mode with selected record
+     */
+    get showSingleSelection() {
+        return !this.allowMultipleSelection && this.selectedRecordsInternal.length > 0;
+    }
+
+    /**
+     * @description Determines if multiple selection display should be shown
+     * @return {boolean} True if multiple selection mode with selected records
+     */
+    get showMultipleSelection() {
+        return this.allowMultipleSelection && this.selectedRecordsInternal.length > 0;
+    }
+    
+    /**
+     * @description Determines if pill container should be displayed
+     * @return {boolean} True if multiple selection with pills display format
+     */
+    get showPillContainer() {
+        return this.showMultipleSelection && this.displayFormat === 'pills';
+    }
+    
+    /**
+     * @description Determines if datatable should be displayed
+     * @return {boolean} True if multiple selection with datatable display format
+     */
+    get showDatatable() {
+        return this.showMultipleSelection && this.displayFormat === 'datatable';
+    }
+    
+    /**
+     * @description Generates column configuration for datatable
+     * @return {Array} Array of column definitions for lightning-datatable
+     */
+    get datatableColumns() {
+        // Columns of fields the user can't read would stay empty
+        const fieldsToShow = this.tableFieldsToShow
+            .filter(field => this.isFieldAccessible(this.primaryObjectApiName, field));
+        console.log('Datatable columns for fields:', fieldsToShow);
+        
+        const columns = fieldsToShow.map(field => {
+            const describe = this.getTableFieldDescribe(field);
+            return describe
+                ? this.toDatatableColumn(describe)
+                : { label: this.getFieldLabel(field), fieldName: field, type: 'text' };
+        });
+        
+        // Records of several objects can be selected, so show which object each row is
+        if (this.isPolymorphic) {
+            columns.unshift({ label: 'Object', fieldName: 'objectLabel', type: 'text' });
+        }
+        
+        return [
+            ...columns.map(column => ({ ...column, sortable: true })),
+            { type: 'action', typeAttributes: { rowActions: this.datatableRowActions } }
+        ];
+    }
+    
+    /**
+     * @description Gets the actions of each datatable row
+     * @return {Array} View Record, and Remove unless hidden
+     */
+    get datatableRowActions() {
+        const actions = [{ label: 'View Record', name: 'view', iconName: 'utility:preview' }];
+        if (!this.hideRemoveAction) {
+            actions.push({ label: 'Remove', name: 'remove', iconName: 'utility:delete' });
+        }
+        return actions;
+    }
+    
+    /**
+     * @description Determines if the review of pasted values is shown below the input
+     * @return {boolean} True while pasted values are resolved or under review
+     */
+    get showPasteReview() {
+        return this.isResolvingPaste || Boolean(this.pasteError) || this.pasteResolutions !== null;
+    }
+    
+    /**
+     * @description Gets the pasted values that matched several records
+     * @return {Array} Ambiguous resolutions
+     */
+    get ambiguousPasteResolutions() {
+        return (this.pasteResolutions || []).filter(resolution => resolution.status === 'ambiguous');
+    }
+    
+    /**
+     * @description Gets the pasted values that matched no record
+     * @return {string} Comma-separated values, or empty when all values matched
+     */
+    get unmatchedPasteValues() {
+        return (this.pasteResolutions || [])
+            .filter(resolution => resolution.status === 'unmatched')
+            .map(resolution => resolution.value)
+            .join(', ');
+    }
+    
+    /**
+     * @description Gets the records the paste review would add
+     * @return {Array} Matched records and the records picked for ambiguous values
+     */
+    get pasteRecordsToAdd() {
+        return (this.pasteResolutions || [])
+            .filter(resolution => resolution.selectedId)
+            .map(resolution => resolution.records.find(record => record.Id === resolution.selectedId));
+    }
+    
+    /**
+     * @description Gets the summary of the paste review
+     * @return {string} Counts of matched, ambiguous and unmatched values
+     */
+    get pasteSummary() {
+        const resolutions = this.pasteResolutions || [];
+        const countOf = status => resolutions.filter(resolution => resolution.status === status).length;
+        return `${countOf('matched')} matched, ${countOf('ambiguous')} with several matches, ${countOf('unmatched')} not found`;
+    }
+    
+    /**
+     * @description Gets the label of the button that adds the pasted records
+     * @return {string} Button label with the number of records
+     */
+    get addPastedRecordsLabel() {
+        const count = this.pasteRecordsToAdd.length;
+        return `Add ${count} ${count === 1 ? 'Record' : 'Records'}`;
+    }
+    
+    /**
+     * @description Determines if there are pasted records to add
+     * @return {boolean} True if no record would be added
+     */
+    get isAddPastedRecordsDisabled() {
+        return this.pasteRecordsToAdd.length === 0;
+    }
+    
+    /**
+     * @description Determines if the Reorder button is shown above the datatable
+     * @return {boolean} True if reordering is allowed and there is more than one row
+     */
+    get showReorderButton() {
+        return this.allowReorder && this.selectedRecordsInternal.length > 1;
+    }
+    
+    /**
+     * @description Gets the label of the button that switches between the datatable and the reorder list
+     * @return {string} Button label
+     */
+    get reorderButtonLabel() {
+        return this.isReordering ? 'Done' : 'Reorder';
+    }
+    
+    /**
+     * @description Determines if the reorder list replaces the datatable
+     * @return {boolean} True while users are reordering the rows
+     */
+    get showReorderList() {
+        return this.isReordering && this.showReorderButton;
+    }
+    
+    /**
+     * @description Gets the rows of the reorder list
+     * @return {Array} One item per selected record with its position and move button state
+     */
+    get reorderItems() {
+        const lastIndex = this.selectedRecordsInternal.length - 1;
+        return this.selectedRecordsInternal.map((record, index) => ({
+            key: record.Id,
+            recordId: record.Id,
+            label: record.primaryValue,
+            secondaryLabel: record.secondaryValue,
+            position: index + 1,
+            isFirst: index === 0,
+            isLast: index === lastIndex,
+            moveUpLabel: `Move ${record.primaryValue} up`,
+            moveDownLabel: `Move ${record.primaryValue} down`,
+            className: `slds-listbox__item reorder-item${record.Id === this._draggedRecordId ? ' reorder-item_dragging' : ''}`
+        }));
+    }
+    
+    /**
+     * @description Formats selected records for datatable display
+     * @return {Array} Array of record data for lightning-datatable
+     */
+    get datatableData() {
+        return this.selectedRecordsInternal.map(record => {
+            const data = { Id: record.Id };
+            const originalRecord = record.originalRecord || {};
+            
+            // Add all fields from the original record
+            Object.keys(originalRecord).forEach(key => {
+                data[key] = originalRecord[key];
+            });
+            
+            // Columns are keyed by field path, so flatten relationship values and add the link URLs
+            this.tableFieldsToShow.forEach(field => {
+                const describe = this.getTableFieldDescribe(field);
+                let value = this.getFieldValue(originalRecord, field);
+                
+                // lightning-datatable formats percent values as fractions
+                if (describe && describe.type === 'percent' && typeof value === 'number') {
+                    value /= 100;
+                }
+                data[field] = value;
+                
+                if (describe && describe.linkField) {
+                    const linkedId = this.getFieldValue(originalRecord, describe.linkField);
+                    data[this.getLinkUrlKey(field)] = linkedId ? this.linkUrls[linkedId] || null : null;
+                    data[this.getLinkLabelKey(field)] = describe.labelField
+                        ? this.getFieldValue(originalRecord, describe.labelField) || linkedId
+                        : value;
+                }
+            });
+            
+            // Ensure primary field is included
+            data[this.primaryField] = record.primaryValue;
+            data.objectLabel = this.getObjectLabel(record.objectApiName);
+            
+            return data;
+        });
+    }
+    
+    /**
+     * @description Gets the fields shown as datatable columns
+     * @return {Array} Table fields, or the primary field when none are configured
+     */
+    get tableFieldsToShow() {
+        return this._tableFields && this._tableFields.length > 0
+            ? this._tableFields
+            : [this.primaryField];
+    }
+    
+    /**
+     * @description Finds the describe of a datatable column
+     * @param {string} fieldName - Field API name or relationship path
+     * @return {Object} Describe from getFieldDescribes, or undefined if not described
+     */
+    getTableFieldDescribe(fieldName) {
+        return this.tableFieldDescribes.find(describe => describe.fieldName === fieldName);
+    }
+    
+    /**
+     * @description Builds a lightning-datatable column from a field describe
+     * Lookup fields and related record names become links to the record
+     * @param {Object} describe - Describe from getFieldDescribes
+     * @return {Object} Datatable column
+     */
+    toDatatableColumn(describe) {
+        const column = { label: describe.label, fieldName: describe.fieldName, type: 'text' };
+        
+        if (describe.linkField) {
+            return {
+                ...column,
+                fieldName: this.getLinkUrlKey(describe.fieldName),
+                type: 'url',
+                typeAttributes: { label: { fieldName: this.getLinkLabelKey(describe.fieldName) }, target: '_blank' }
+            };
+        }
+        
+        switch (describe.type) {
+            case 'currency':
+                return { ...column, type: 'currency', cellAttributes: { alignment: 'left' } };
+            case 'percent':
+                return { ...column, type: 'percent', cellAttributes: { alignment: 'left' } };
+            case 'double':
+            case 'integer':
+            case 'long':
+                return {
+                    ...column,
+                    type: 'number',
+                    typeAttributes: { maximumFractionDigits: describe.scale || '0' },
+                    cellAttributes: { alignment: 'left' }
+                };
+            case 'date':
+                return {
+                    ...column,
+                    type: 'date-local',
+                    typeAttributes: { year: 'numeric', month: 'short', day: '2-digit' }
+                };
+            case 'datetime':
+                return {
+                    ...column,
+                    type: 'date',
+                    typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+                };
+            case 'email':
+                return { ...column, type: 'email' };
+            case 'phone':
+                return { ...column, type: 'phone' };
+            case 'url':
+                return { ...column, type: 'url', typeAttributes: { target: '_blank' } };
+            case 'boolean':
+                return { ...column, type: 'boolean' };
+            default:
+                return column;
+        }
+    }
+    
+    /**
+     * @description Generates the record page URLs of the datatable link columns with the navigation service
+     * A relative /Id URL doesn't resolve in Experience Cloud sites or the mobile app, so links wait for these URLs
+     */
+    async generateLinkUrls() {
+        const linkFields = this.tableFieldDescribes
+            .filter(describe => describe.linkField)
+            .map(describe => describe.linkField);
+        if (!linkFields.length) {
+            return;
+        }
+        
+        const linkedIds = new Set();
+        this.selectedRecordsInternal.forEach(record => {
+            linkFields.forEach(linkField => {
+                const linkedId = this.getFieldValue(record.originalRecord || {}, linkField);
+                if (linkedId && !this.linkUrls[linkedId]) {
+                    linkedIds.add(linkedId);
+                }
+            });
+        });
+        if (!linkedIds.size) {
+            return;
+        }
+        
+        try {
+            const entries = await Promise.all([...linkedIds].map(async recordId => [
+                recordId,
+                await this[NavigationMixin.GenerateUrl]({
+                    type: 'standard__recordPage',
+                    attributes: { recordId, actionName: 'view' }
+                })
+            ]));
+            this.linkUrls = { ...this.linkUrls, ...Object.fromEntries(entries) };
+        } catch (error) {
+            console.error('Error generating datatable link URLs:', error);
+        }
+    }
+    
+    /**
+     * @description Gets the datatable row key holding the link URL of a column
+     * @param {string} fieldName - Column field path
+     * @return {string} Row key
+     */
+    getLinkUrlKey(fieldName) {
+        return `${fieldName}__linkUrl`;
+    }
+    
+    /**
+     * @description Gets the datatable row key holding the link label of a column
+     * @param {string} fieldName - Column field path
+     * @return {string} Row key
+     */
+    getLinkLabelKey(fieldName) {
+        return `${fieldName}__linkLabel`;
+    }
+    
+    /**
+     * @description Reads a field or relationship path such as Account.Owner.Name from a record
+     * @param {Object} record - Record returned by Apex
+     * @param {string} fieldPath - Field API name or relationship path
+     * @return {*} Field value, or undefined if any relationship along the path is empty
+     */
+    getFieldValue(record, fieldPath) {
+        return fieldPath.split('.').reduce((value, segment) => (value ? value[segment] : undefined), record);
+    }
+    
+    /**
+     * @description Sets a field or relationship path on a record, creating the related records along the path
+     * @param {Object} record - Record to update
+     * @param {string} fieldPath - Field API name or relationship path
+     * @param {*} value - Field value
+     */
+    setFieldValue(record, fieldPath, value) {
+        const segments = fieldPath.split('.');
+        const fieldName = segments.pop();
+        const target = segments.reduce((parent, segment) => {
+            if (!parent[segment] || typeof parent[segment] !== 'object') {
+                parent[segment] = {};
+            }
+            return parent[segment];
+        }, record);
+        target[fieldName] = value;
+    }
+    
+    /**
+     * @description Generates user-friendly label from field API name
+     * @param {string} fieldName - API name of the field
+     * @return {string} Formatted field label
+     */
+    getFieldLabel(fieldName) {
+        // Try to get a user-friendly label for the field
+        // This is a simplified version - in production you might want to use field describe info
+        return fieldName.replace(/__c$/, '').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+    
+    /**
+     * @description Gets default icon name based on object type
+     * @param {string} objectApiName - Object API name, defaults to the primary object
+     * @return {string} SLDS icon name
+     */
+    getDefaultIconName(objectApiName = this.primaryObjectApiName) {
+        // Client-side fallback for common objects
         const iconMap = {
             'Account': 'standard:account',
             'Contact': 'standard:contact',
@@ -216,410 +1511,2503 @@ export default class MsFlowLookupLWC extends LightningElement {
             'Asset': 'standard:asset'
         };
         
-        return iconMap[this.objectApiName] || 'standard:record';
+        return iconMap[objectApiName] || 'standard:record';
+    }
+
+    /**
+     * @description Gets display value for input field
+     * @return {string} Current input value
+     */
+    get inputValue() {
+        if (!this.allowMultipleSelection && this.selectedRecordsInternal.length > 0) {
+            return this.selectedRecordsInternal[0].primaryValue;
+        }
+        return this.searchTerm;
+    }
+
+    /**
+     * @description Determines if a dependent lookup is waiting for its parent record
+     * @return {boolean} True if a parent relationship is configured without a parent Id
+     */
+    get isAwaitingParent() {
+        return !!this.parentRelationshipField && !this._parentRecordId
+            && this.activeObjectApiName === this.primaryObjectApiName;
+    }
+
+    /**
+     * @description Determines if a filter condition bound to a Flow resource is waiting for its value
+     * An empty value would match blank fields (equals) or every record (contains), so the lookup waits
+     * @return {boolean} True if a bound filter value of the primary object is empty
+     */
+    get isAwaitingFilterValue() {
+        return this.activeObjectApiName === this.primaryObjectApiName && this.filterConditionsArray.some(condition =>
+            condition.valueSource === 'variable' && !NULL_OPERATORS.includes(condition.operator)
+            && this.resolveFilterValue(condition) === null);
+    }
+
+    /**
+     * @description Determines if the lookup can't search yet, because its parent record or a filter value is missing
+     * @return {boolean} True while searching is disabled
+     */
+    get isSearchDisabled() {
+        return this.isAwaitingParent || this.isAwaitingFilterValue;
+    }
+
+    /**
+     * @description Gets placeholder text, prompting for the parent record or filter value when required
+     * @return {string} Placeholder text
+     */
+    get inputPlaceholder() {
+        if (this.isAwaitingParent) {
+            return 'Select a parent record first';
+        }
+        return this.isAwaitingFilterValue ? 'Search is unavailable until the filter has a value' : this.placeholder;
+    }
+
+    /**
+     * @description Gets CSS class for dropdown container
+     * @return {string} CSS class string
+     */
+    get dropdownClass() {
+        return `slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click ${this.showDropdown ? 'slds-is-open' : ''} ${this.isPolymorphic ? 'slds-combobox-addon_end' : ''}`;
+    }
+
+    /**
+     * @description Gets CSS class for input field
+     * @return {string} CSS class string
+     */
+    get inputClass() {
+        return `slds-input slds-combobox__input ${this.showSingleSelection ? 'slds-combobox__input-value' : ''}`;
+    }
+
+    /**
+     * @description Parses secondary fields configuration
+     * @return {Array} Array of secondary field names
+     */
+    get secondaryFieldsArray() {
+        try {
+            // Handle both single field (new) and comma-separated (legacy) formats
+            if (!this.secondaryFields) return [];
+            
+            if (typeof this.secondaryFields === 'string') {
+                return this.secondaryFields.split(',').map(f => f.trim()).filter(f => f);
+            }
+            
+            // If it's already an array (shouldn't happen but defensive)
+            return Array.isArray(this.secondaryFields) ? this.secondaryFields : [this.secondaryFields];
+        } catch (error) {
+            console.error('Error parsing secondary fields:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Parses tertiary fields configuration
+     * @return {Array} Array of tertiary field names
+     */
+    get tertiaryFieldsArray() {
+        try {
+            // Handle both single field (new) and comma-separated (legacy) formats
+            if (!this.tertiaryFields) return [];
+            
+            if (typeof this.tertiaryFields === 'string') {
+                return this.tertiaryFields.split(',').map(f => f.trim()).filter(f => f);
+            }
+            
+            // If it's already an array (shouldn't happen but defensive)
+            return Array.isArray(this.tertiaryFields) ? this.tertiaryFields : [this.tertiaryFields];
+        } catch (error) {
+            console.error('Error parsing tertiary fields:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Gets the deduplicated list of fields queried for each record of an object
+     * Includes the parent relationship field so selections can be checked against the parent,
+     * the datatable columns of the primary object so table cells have values,
+     * and the result template and icon fields of the primary object
+     * @param {string} objectApiName - Object API name
+     * @return {Array} Array of field API names
+     */
+    getQueryFields(objectApiName) {
+        const config = this.getObjectConfig(objectApiName);
+        const isPrimaryObject = objectApiName === this.primaryObjectApiName;
+        
+        // Described datatable columns of the primary object, with the fields their links need
+        const tableFields = isPrimaryObject
+            ? this.tableFieldDescribes.flatMap(describe => [describe.fieldName, describe.linkField, describe.labelField])
+            : [];
+        
+        // Result template (described, so invalid paths are skipped) and icon fields of the primary object
+        const layoutFields = isPrimaryObject
+            ? [...this.templateFieldDescribes.map(describe => describe.fieldName), this.iconField, Object.keys(this.recordTypeIconMap).length ? RECORD_TYPE_FIELD : '']
+            : [];
+        
+        return [
+            config.primaryField,
+            ...config.secondaryFields,
+            ...config.tertiaryFields,
+            isPrimaryObject ? this.parentRelationshipField : '',
+            ...tableFields,
+            ...layoutFields
+        ].filter((field, index, array) => field && array.indexOf(field) === index); // Remove duplicates
+    }
+
+    /**
+     * @description Gets the fields the search term is matched against: the primary and secondary fields
+     * Tertiary, table, template and icon fields are only displayed, so they are not searched
+     * @param {string} objectApiName - Object API name
+     * @return {Array} Array of field API names
+     */
+    getSearchFields(objectApiName) {
+        const config = this.getObjectConfig(objectApiName);
+        return [config.primaryField, ...config.secondaryFields]
+            .filter((field, index, array) => field && array.indexOf(field) === index);
+    }
+
+    /**
+     * @description Parses the filter conditions configured in the property editor
+     * @return {Array} Array of filter condition objects
+     */
+    get filterConditionsArray() {
+        try {
+            if (!this.filterConditions) return [];
+            
+            const conditions = typeof this.filterConditions === 'string'
+                ? JSON.parse(this.filterConditions)
+                : this.filterConditions;
+            
+            // Incomplete rows saved by the property editor are ignored
+            return Array.isArray(conditions)
+                ? conditions.filter(condition => condition && condition.field && condition.operator)
+                : [];
+        } catch (error) {
+            console.error('Error parsing filter conditions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Resolves the value of a filter condition from its configured source
+     * @param {Object} condition - Filter condition from the property editor
+     * @return {string} Value sent to Apex, or null when empty
+     */
+    resolveFilterValue(condition) {
+        let value;
+        if (condition.valueSource === 'currentUser') {
+            value = USER_ID;
+        } else if (condition.valueSource === 'variable') {
+            value = this[`filterValue${condition.variableSlot}`];
+        } else {
+            value = condition.value;
+        }
+        
+        return value === undefined || value === null || value === '' ? null : String(value);
+    }
+
+    /**
+     * @description Builds the structured filter sent to searchRecords
+     * Apex validates every field and operator against the object describe
+     * @param {string} objectApiName - Object being searched; filters only apply to the primary object
+     * @param {Array} additionalConditions - Conditions that must also match, such as the default results filter
+     * @return {string} Serialized filter criteria, or empty string when no filter is configured
+     */
+    buildFiltersJson(objectApiName, additionalConditions = []) {
+        if (objectApiName !== this.primaryObjectApiName) return '';
+        
+        const conditions = this.filterConditionsArray.map(condition => ({
+            field: condition.field,
+            operator: condition.operator,
+            value: this.resolveFilterValue(condition)
+        }));
+        let logic = this.filterLogic || 'AND';
+        
+        // The parent restriction always applies on top of the configured filter logic
+        const requiredConditions = additionalConditions.map(condition => ({
+            field: condition.field,
+            operator: condition.operator,
+            value: this.resolveFilterValue(condition)
+        }));
+        if (this.parentRelationshipField) {
+            requiredConditions.push({
+                field: this.parentRelationshipField,
+                operator: 'equals',
+                value: this._parentRecordId || null
+            });
+        }
+        if (this.activeQuickFilter && this.quickFilterField) {
+            requiredConditions.push({
+                field: this.quickFilterField,
+                operator: 'equals',
+                value: this.activeQuickFilter
+            });
+        }
+        
+        if (requiredConditions.length) {
+            const requiredLogic = requiredConditions.map((condition, index) => conditions.length + index + 1);
+            logic = conditions.length
+                ? `(${this.toLogicExpression(logic, conditions.length)}) AND ${requiredLogic.join(' AND ')}`
+                : requiredLogic.join(' AND ');
+            conditions.push(...requiredConditions);
+        }
+        
+        if (!conditions.length) return '';
+        
+        return JSON.stringify({
+            logic,
+            conditions
+        });
+    }
+
+    /**
+     * @description Gets the conditions of the 'custom' default results
+     * @return {Array} Parsed conditions, incomplete ones removed
+     */
+    get defaultFilterConditionsArray() {
+        try {
+            if (!this.defaultFilterConditions) return [];
+            
+            const conditions = typeof this.defaultFilterConditions === 'string'
+                ? JSON.parse(this.defaultFilterConditions)
+                : this.defaultFilterConditions;
+            
+            return Array.isArray(conditions)
+                ? conditions.filter(condition => condition && condition.field && condition.operator)
+                : [];
+        } catch (error) {
+            console.error('Error parsing default filter conditions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Gets the default results mode
+     * @return {string} 'none', 'recent' or 'custom'
+     */
+    get defaultResultsMode() {
+        return ['none', 'recent', 'custom'].includes(this.defaultResults) ? this.defaultResults : 'recent';
+    }
+
+    /**
+     * @description Expands AND/OR filter logic into an explicit numbered expression
+     * @param {string} logic - 'AND', 'OR' or custom logic
+     * @param {number} conditionCount - Number of filter conditions
+     * @return {string} Logic expression referencing condition numbers
+     */
+    toLogicExpression(logic, conditionCount) {
+        const operator = logic.trim().toUpperCase();
+        if (operator !== 'AND' && operator !== 'OR') {
+            return logic;
+        }
+        return Array.from({ length: conditionCount }, (value, index) => index + 1).join(` ${operator} `);
+    }
+
+    /**
+     * @description Compares two record Ids, ignoring 15/18 character differences
+     * @param {string} firstId - First record Id
+     * @param {string} secondId - Second record Id
+     * @return {boolean} True if both Ids refer to the same record
+     */
+    isSameRecordId(firstId, secondId) {
+        if (!firstId || !secondId) return false;
+        return String(firstId).substring(0, 15) === String(secondId).substring(0, 15);
+    }
+
+    /**
+     * @description Responds to a parent record change in a dependent lookup
+     * Removes selections that belong to another parent and refreshes the results
+     */
+    handleParentRecordChange() {
+        const field = this.parentRelationshipField;
+        if (field) {
+            const matchingRecords = this.selectedRecordsInternal.filter(record =>
+                record.objectApiName !== this.primaryObjectApiName
+                || this.isSameRecordId(record.originalRecord && record.originalRecord[field], this._parentRecordId)
+            );
+            if (matchingRecords.length !== this.selectedRecordsInternal.length) {
+                this.selectedRecordsInternal = matchingRecords;
+                this.updateOutputProperties();
+            }
+        }
+        
+        this.searchResults = [];
+        if (this.showDropdown) {
+            this.performSearch();
+        }
+    }
+
+    /**
+     * @description Stores a reactive input and schedules a refresh when it changes on screen
+     * Changes made in the same render cycle are applied together
+     * @param {string} fieldName - Private backing field of the input
+     * @param {*} value - New input value
+     * @param {string} changeType - 'object', 'fields' or 'filter'
+     */
+    updateConfigInput(fieldName, value, changeType) {
+        const previousValue = this[fieldName];
+        this[fieldName] = value;
+        
+        if (!this._connected || previousValue === value) return;
+        
+        if (!this._pendingConfigChanges.size) {
+            Promise.resolve().then(() => this.applyConfigChanges());
+        }
+        this._pendingConfigChanges.add(changeType);
+    }
+
+    /**
+     * @description Refreshes the lookup after reactive inputs changed
+     * Object changes reload icons and clear the selection, filter changes clear the selection,
+     * field changes reload the selected records with the new fields
+     */
+    async applyConfigChanges() {
+        const changes = this._pendingConfigChanges;
+        this._pendingConfigChanges = new Set();
+        
+        // Results were queried with the previous configuration
+        this.searchResults = [];
+        this.hasError = false;
+        
+        if (changes.has('object')) {
+            this._activeObjectApiName = '';
+            await this.loadObjectIcons();
+            if (this.isPolymorphic || this.allowCreate) {
+                await this.loadObjectLabels();
+            }
+        }
+        
+        if (changes.has('object') || changes.has('fields')) {
+            await Promise.all([
+                this.loadTableFieldDescribes(),
+                this.loadTemplateFieldDescribes(),
+                this.loadDetailFieldDescribes(),
+                this.loadQuickFilterOptions(),
+                this.loadInaccessibleFields()
+            ]);
+            // Details were loaded with the previous fields
+            this.recordDetails = {};
+        }
+        
+        if (changes.has('object') || changes.has('filter')) {
+            if (this.selectedRecordsInternal.length) {
+                this.selectedRecordsInternal = [];
+                this.updateOutputProperties();
+            }
+        } else if (changes.has('fields') && this.selectedRecordsInternal.length) {
+            await this.loadSelectedRecords(this.selectedRecordsInternal.map(record => record.Id));
+        }
+        
+        if (this.showDropdown) {
+            this.performSearch();
+        }
+    }
+
+    /**
+     * @description Selects the record set through the recordId input by another screen component
+     */
+    handleRecordIdChange() {
+        const selectedRecord = this.selectedRecordsInternal[0];
+        
+        if (!this._recordId) {
+            if (selectedRecord) {
+                this.selectedRecordsInternal = [];
+                this.updateOutputProperties();
+            }
+            return;
+        }
+        
+        if (!selectedRecord || !this.isSameRecordId(selectedRecord.Id, this._recordId)) {
+            this.loadSelectedRecords([this._recordId]);
+        }
+    }
+
+    /**
+     * @description Selects the records set through the selectedRecordIds input by another screen component
+     */
+    handleSelectedRecordIdsChange() {
+        if (!this._selectedRecordIds.length) {
+            if (this.selectedRecordsInternal.length) {
+                this.selectedRecordsInternal = [];
+                this.updateOutputProperties();
+            }
+            return;
+        }
+        
+        this.loadSelectedRecords(this._selectedRecordIds);
+    }
+
+    // Event Handlers
+
+    /**
+     * @description Handles object selection from the object switcher
+     * @param {Event} event - Select event from lightning-button-menu
+     */
+    handleObjectSwitch(event) {
+        const objectApiName = event.detail.value;
+        if (objectApiName === this.activeObjectApiName) return;
+        
+        this._activeObjectApiName = objectApiName;
+        this.searchResults = [];
+        this.searchTerm = '';
+        this.hasError = false;
+    }
+
+    /**
+     * @description Handles input field focus event
+     * Shows dropdown and triggers search if needed
+     */
+    handleInputFocus() {
+        console.log('Input focused');
+        this.showDropdown = true;
+        if (this.searchTerm || this.searchResults.length === 0) {
+            this.performSearch();
+        }
+    }
+
+    /**
+     * @description Handles input field change event
+     * Implements debounced search functionality
+     * @param {Event} event - Input change event
+     */
+    handleInputChange(event) {
+        this.searchTerm = event.target.value;
+        this.showDropdown = true;
+        this.activeOptionIndex = -1;
+        
+        // Clear existing timeout
+        if (this.searchTimeout) {
+            clearTimeout(this.searchTimeout);
+        }
+        
+        // Set new timeout for debounced search
+        this.searchTimeout = setTimeout(() => {
+            this.performSearch();
+        }, this.effectiveSearchDelay);
+    }
+
+    /**
+     * @description Handles paste into the search input
+     * In multiple selection mode, a pasted list of two or more values is resolved to records
+     * instead of being searched; a single value is pasted as search text
+     * @param {ClipboardEvent} event - Paste event from the input
+     */
+    handleInputPaste(event) {
+        if (!this.allowMultipleSelection || !event.clipboardData) {
+            return;
+        }
+        
+        const values = this.splitPastedValues(event.clipboardData.getData('text'));
+        if (values.length < 2) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.resolvePastedValues(values);
+    }
+
+    /**
+     * @description Splits pasted text into values
+     * Spreadsheet cells paste as lines and tabs; text on a single line is split on commas
+     * @param {string} text - Pasted text
+     * @return {Array} Trimmed, non-empty values
+     */
+    splitPastedValues(text) {
+        const trimmedText = (text || '').trim();
+        const separator = /[\r\n\t]/.test(trimmedText) ? /[\r\n\t]+/ : ',';
+        return trimmedText
+            .split(separator)
+            .map(value => value.trim())
+            .filter(value => value);
+    }
+
+    /**
+     * @description Resolves pasted values to records of the searched object in one Apex call
+     * The results are shown for review and nothing is selected until the user adds them
+     * @param {Array} values - Pasted values
+     */
+    async resolvePastedValues(values) {
+        const objectApiName = this.activeObjectApiName;
+        this.closeDropdown();
+        this.pasteResolutions = null;
+        this.pasteError = '';
+        
+        if (values.length > MAX_PASTE_VALUES) {
+            this.pasteError = `You can paste up to ${MAX_PASTE_VALUES} values at a time.`;
+            return;
+        }
+        
+        this.isResolvingPaste = true;
+        try {
+            const resolutions = await resolveRecords({
+                objectApiName,
+                values,
+                fieldsToReturn: this.getQueryFields(objectApiName),
+                primaryField: this.getObjectConfig(objectApiName).primaryField,
+                externalIdField: objectApiName === this.primaryObjectApiName ? this.externalIdField : '',
+                filtersJson: this.buildFiltersJson(objectApiName)
+            });
+            
+            this.pasteResolutions = (resolutions || []).map((resolution, index) => {
+                const records = (resolution.records || []).map(record => this.formatSelectedRecord(record, objectApiName));
+                return {
+                    key: `paste-${index}`,
+                    value: resolution.value,
+                    status: resolution.status,
+                    records,
+                    // Ambiguous values wait for the user to pick one of the records
+                    selectedId: resolution.status === 'matched' ? records[0].Id : '',
+                    options: [
+                        { label: 'Skip', value: '' },
+                        ...records.map(record => ({
+                            label: record.secondaryValue
+                                ? `${record.displayLabel} • ${record.secondaryValue}`
+                                : record.displayLabel,
+                            value: record.Id
+                        }))
+                    ]
+                };
+            });
+        } catch (error) {
+            const lookupError = this.parseLookupError(error);
+            console.error('Paste error code:', lookupError.code, 'Details:', lookupError.adminMessage);
+            // Uncoded errors would otherwise show the search wording
+            this.pasteError = lookupError.code === UNKNOWN_ERROR_CODE ? DEFAULT_PASTE_ERROR : lookupError.userMessage;
+        } finally {
+            this.isResolvingPaste = false;
+        }
+    }
+
+    /**
+     * @description Picks the record of an ambiguous pasted value
+     * @param {Event} event - Change event from the value's combobox
+     */
+    handlePasteChoiceChange(event) {
+        const key = event.target.dataset.key;
+        this.pasteResolutions = this.pasteResolutions.map(resolution => (
+            resolution.key === key ? { ...resolution, selectedId: event.detail.value } : resolution
+        ));
+    }
+
+    /**
+     * @description Adds the matched and picked records of the paste to the selection
+     * Records that are already selected are skipped; the selection stops at the maximum
+     */
+    handleAddPastedRecords() {
+        const selectedIds = new Set(this.selectedRecordsInternal.map(record => record.Id));
+        const newRecords = [];
+        this.pasteRecordsToAdd.forEach(record => {
+            if (!selectedIds.has(record.Id)) {
+                selectedIds.add(record.Id);
+                newRecords.push(record);
+            }
+        });
+        
+        if (this.maxSelectionCount) {
+            const remaining = Math.max(this.maxSelectionCount - this.selectedRecordsInternal.length, 0);
+            if (newRecords.length > remaining) {
+                newRecords.splice(remaining);
+                this.validationError = this.customErrorMessage || `You can select up to ${this.maxSelectionCount} records.`;
+            }
+        }
+        
+        if (newRecords.length > 0) {
+            this.selectedRecordsInternal = [...this.selectedRecordsInternal, ...newRecords];
+            this.sortedBy = undefined;
+            this.updateOutputProperties();
+        }
+        
+        this.handleCancelPaste();
+    }
+
+    /**
+     * @description Closes the paste review without adding records
+     */
+    handleCancelPaste() {
+        this.pasteResolutions = null;
+        this.pasteError = '';
+        this.focusSearchInput();
+    }
+
+    /**
+     * @description Handles input field blur event
+     * Delays hiding dropdown to allow for option selection
+     */
+    handleInputBlur() {
+        // Delay hiding dropdown to allow for option selection; focus can move on to the quick filter buttons
+        setTimeout(() => {
+            if (!this.isQuickFilterFocused()) {
+                this.closeDropdown();
+            }
+        }, 200);
+    }
+
+    /**
+     * @description Determines if keyboard focus is on one of the quick filter buttons
+     * @return {boolean} True if a quick filter button has focus
+     */
+    isQuickFilterFocused() {
+        const activeElement = this.template.activeElement;
+        return Boolean(activeElement && activeElement.dataset && 'quickFilter' in activeElement.dataset);
+    }
+
+    /**
+     * @description Applies a quick filter button, or clears the filter when its button is pressed again
+     * Focus goes back to the search input so users can keep typing
+     * @param {Event} event - Click event from a quick filter button
+     */
+    handleQuickFilterSelect(event) {
+        const value = event.currentTarget.dataset.quickFilter;
+        this.activeQuickFilter = value === this.activeQuickFilter ? '' : value;
+        
+        this.showDropdown = true;
+        this.activeOptionIndex = -1;
+        this.performSearch();
+        this.focusSearchInput();
+    }
+
+    /**
+     * @description Closes the dropdown from a quick filter button with Escape
+     * @param {KeyboardEvent} event - Keydown event from a quick filter button
+     */
+    handleQuickFilterKeyDown(event) {
+        if (event.key === 'Escape' || event.key === 'Esc') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.closeDropdown();
+            this.focusSearchInput();
+        }
+    }
+
+    /**
+     * @description Handles keyboard navigation of the combobox (WAI-ARIA combobox pattern)
+     * Arrow keys move the highlighted option, Enter selects it, Escape closes the dropdown
+     * @param {KeyboardEvent} event - Keydown event from the input
+     */
+    handleInputKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'Down':
+                event.preventDefault();
+                if (!this.showDropdown) {
+                    this.handleInputFocus();
+                }
+                this.moveActiveOption(1);
+                break;
+            case 'ArrowUp':
+            case 'Up':
+                event.preventDefault();
+                if (!this.showDropdown) {
+                    this.handleInputFocus();
+                }
+                this.moveActiveOption(-1);
+                break;
+            case 'Home':
+            case 'End':
+                // Only take over Home/End while an option is highlighted, otherwise they move the caret
+                if (this.showDropdown && this.activeOptionIndex >= 0) {
+                    event.preventDefault();
+                    this.setActiveOption(event.key === 'Home' ? 0 : this.optionCount - 1);
+                }
+                break;
+            case 'Enter':
+                if (this.showDropdown && this.activeOptionIndex >= 0) {
+                    event.preventDefault();
+                    this.selectActiveOption();
+                }
+                break;
+            case 'Escape':
+            case 'Esc':
+                if (this.showDropdown) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.closeDropdown();
+                } else if (this.searchTerm) {
+                    event.preventDefault();
+                    this.searchTerm = '';
+                }
+                break;
+            case 'Backspace':
+            case 'Delete':
+                // The single selection input is read-only, so these keys clear the selected record
+                if (this.showSingleSelection) {
+                    event.preventDefault();
+                    this.handleClearSelection();
+                }
+                break;
+            case 'Tab':
+                // Tab moves on to the quick filter buttons, which keep the dropdown open
+                if (event.shiftKey || !this.showQuickFilters) {
+                    this.closeDropdown();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @description Highlights the option under the mouse so mouse and keyboard share one active option
+     * @param {Event} event - Mouseenter event from an option
+     */
+    handleOptionMouseEnter(event) {
+        this.activeOptionIndex = parseInt(event.currentTarget.dataset.optionIndex, 10);
+        this.loadRecordDetails();
+    }
+
+    /**
+     * @description Moves the highlighted option, wrapping at either end of the list
+     * @param {number} step - 1 to move down, -1 to move up
+     */
+    moveActiveOption(step) {
+        const count = this.optionCount;
+        if (count === 0) {
+            this.activeOptionIndex = -1;
+            return;
+        }
+        
+        if (this.activeOptionIndex < 0) {
+            this.setActiveOption(step > 0 ? 0 : count - 1);
+        } else {
+            this.setActiveOption((this.activeOptionIndex + step + count) % count);
+        }
+    }
+
+    /**
+     * @description Highlights an option and scrolls it into view once rendered
+     * @param {number} index - Index of the option to highlight
+     */
+    setActiveOption(index) {
+        this.activeOptionIndex = index;
+        this.loadRecordDetails();
+        
+        Promise.resolve().then(() => {
+            const option = this.template.querySelector(`[data-option-index="${index}"]`);
+            if (option && typeof option.scrollIntoView === 'function') {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * @description Selects the highlighted option: a search result, the load more item or the create item
+     */
+    selectActiveOption() {
+        const results = this.filteredSearchResults;
+        const index = this.activeOptionIndex;
+        
+        if (index < results.length) {
+            this.selectRecord(results[index]);
+            this.closeDropdown();
+            this.searchTerm = '';
+        } else if (this.showLoadMore && index === this.loadMoreOptionIndex) {
+            // The highlight stays at this index, which becomes the first record of the new page
+            this.handleLoadMore();
+        } else if (this.showCreateOption) {
+            this.handleCreateNew();
+        }
+    }
+
+    /**
+     * @description Hides the dropdown and clears the highlighted option
+     */
+    closeDropdown() {
+        this.showDropdown = false;
+        this.activeOptionIndex = -1;
+    }
+
+    /**
+     * @description Handles option selection from dropdown
+     * @param {Event} event - Click event from option
+     */
+    handleOptionSelect(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        const selectedRecord = this.searchResults.find(record => record.Id === recordId);
+        
+        if (selectedRecord) {
+            this.selectRecord(selectedRecord);
+        }
+        
+        this.closeDropdown();
+        this.searchTerm = '';
+    }
+
+    /**
+     * @description Opens the create form from the "New {Object}" item
+     */
+    handleCreateNew() {
+        this.closeDropdown();
+        this.showCreateModal = true;
+    }
+
+    /**
+     * @description Closes the create form without creating a record
+     */
+    handleCreateCancel() {
+        this.showCreateModal = false;
+    }
+
+    /**
+     * @description Selects the record saved in the create form
+     * Reloads the record so it has the same fields as a search result
+     * @param {Event} event - Success event from lightning-record-form
+     */
+    async handleCreateSuccess(event) {
+        const recordId = event.detail.id;
+        const objectApiName = this.activeObjectApiName;
+        this.showCreateModal = false;
+        this.searchTerm = '';
+        
+        try {
+            const result = await getRecordDetails({
+                objectApiName,
+                recordIds: [recordId],
+                fieldsToReturn: this.getQueryFields(objectApiName)
+            });
+            
+            if (result && result.length > 0) {
+                this.selectRecord(result[0], objectApiName);
+            }
+        } catch (error) {
+            console.error('Error loading created record:', error);
+        }
+        
+        // The new record may match the next search, so drop results cached for the old term
+        this.searchResults = [];
+        this.clearSearchCache();
+    }
+
+    /**
+     * @description Handles pill removal in multiple selection mode
+     * @param {Event} event - Pill remove event
+     */
+    handlePillRemove(event) {
+        const recordId = event.detail.item.name;
+        this.removeRecord(recordId);
+    }
+    
+    /**
+     * @description Handles datatable row action
+     * @param {Event} event - Row action event
+     */
+    handleRowAction(event) {
+        const action = event.detail.action;
+        const row = event.detail.row;
+        
+        switch (action.name) {
+            case 'remove':
+                this.removeRecord(row.Id);
+                break;
+            case 'view':
+                // The navigation service resolves the record page in Lightning Experience, Experience Cloud and the mobile app
+                this[NavigationMixin.Navigate]({
+                    type: 'standard__recordPage',
+                    attributes: {
+                        recordId: row.Id,
+                        actionName: 'view'
+                    }
+                });
+                break;
+            default:
+                console.warn('Unknown row action:', action.name);
+        }
+    }
+
+    /**
+     * @description Sorts the selected records by a datatable column
+     * The sorted order becomes the order of Selected Record IDs and Selected Records
+     * @param {Event} event - Sort event from the datatable
+     */
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        const column = this.datatableColumns.find(col => col.fieldName === fieldName);
+        // Link columns hold the URL, so sort them by the link label
+        const valueKey = column && column.typeAttributes && column.typeAttributes.label
+            ? column.typeAttributes.label.fieldName
+            : fieldName;
+        const rowsById = new Map(this.datatableData.map(row => [row.Id, row]));
+        const direction = sortDirection === 'desc' ? -1 : 1;
+        
+        this.sortedBy = fieldName;
+        this.sortedDirection = sortDirection;
+        this.selectedRecordsInternal = [...this.selectedRecordsInternal].sort((a, b) => direction * this.compareSortValues(
+            rowsById.get(a.Id)[valueKey],
+            rowsById.get(b.Id)[valueKey]
+        ));
+        
+        this.updateOutputProperties();
+    }
+
+    /**
+     * @description Compares two datatable values for sorting
+     * Empty values sort after the others in ascending order
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @return {number} Negative, zero or positive like an Array.sort comparator
+     */
+    compareSortValues(a, b) {
+        const aIsEmpty = a === undefined || a === null || a === '';
+        const bIsEmpty = b === undefined || b === null || b === '';
+        if (aIsEmpty || bIsEmpty) {
+            return Number(aIsEmpty) - Number(bIsEmpty);
+        }
+        if (typeof a === 'number' || typeof a === 'boolean') {
+            return Number(a) - Number(b);
+        }
+        return String(a).localeCompare(String(b), LOCALE, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * @description Switches between the datatable and the reorder list
+     */
+    handleToggleReorder() {
+        this.isReordering = !this.isReordering;
+        this.reorderAnnouncement = '';
+    }
+
+    /**
+     * @description Starts dragging a row of the reorder list
+     * @param {DragEvent} event - Dragstart event from a list item
+     */
+    handleReorderDragStart(event) {
+        this._draggedRecordId = event.currentTarget.dataset.recordId;
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts the drag when data is set
+        event.dataTransfer.setData('text/plain', this._draggedRecordId);
+    }
+
+    /**
+     * @description Allows rows of the reorder list to be dropped on each other
+     * @param {DragEvent} event - Dragover event from a list item
+     */
+    handleReorderDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+    }
+
+    /**
+     * @description Moves the dragged row to the position of the row it is dropped on
+     * @param {DragEvent} event - Drop event from a list item
+     */
+    handleReorderDrop(event) {
+        event.preventDefault();
+        const targetIndex = this.selectedRecordsInternal.findIndex(
+            record => record.Id === event.currentTarget.dataset.recordId
+        );
+        if (this._draggedRecordId && targetIndex !== -1) {
+            this.moveRecord(this._draggedRecordId, targetIndex);
+        }
+        this._draggedRecordId = null;
+    }
+
+    /**
+     * @description Clears the dragged row when a drag ends outside the list
+     */
+    handleReorderDragEnd() {
+        this._draggedRecordId = null;
+    }
+
+    /**
+     * @description Moves a row one position up or down with the move buttons
+     * @param {Event} event - Click event from a move button
+     */
+    handleMoveRecord(event) {
+        const { recordId, direction } = event.currentTarget.dataset;
+        const index = this.selectedRecordsInternal.findIndex(record => record.Id === recordId);
+        this.moveRecord(recordId, direction === 'up' ? index - 1 : index + 1);
+    }
+
+    /**
+     * @description Moves a selected record to a new position and updates the outputs
+     * @param {string} recordId - Id of the record to move
+     * @param {number} toIndex - New position, zero-based
+     */
+    moveRecord(recordId, toIndex) {
+        const fromIndex = this.selectedRecordsInternal.findIndex(record => record.Id === recordId);
+        if (fromIndex === -1 || fromIndex === toIndex || toIndex < 0 || toIndex >= this.selectedRecordsInternal.length) {
+            return;
+        }
+        
+        const records = [...this.selectedRecordsInternal];
+        const [movedRecord] = records.splice(fromIndex, 1);
+        records.splice(toIndex, 0, movedRecord);
+        this.selectedRecordsInternal = records;
+        this.sortedBy = undefined;
+        this.reorderAnnouncement = `${movedRecord.primaryValue} moved to position ${toIndex + 1} of ${records.length}`;
+        
+        this.updateOutputProperties();
+    }
+
+    /**
+     * @description Handles clearing selection in single selection mode
+     */
+    handleClearSelection() {
+        this.selectedRecordsInternal = [];
+        this.updateOutputProperties();
+        this.searchTerm = '';
+        // Trigger a new search to refresh the available options
+        this.performSearch();
+        this.focusSearchInput();
+    }
+
+    /**
+     * @description Moves focus to the search input once it has replaced the single selection input
+     * Keeps keyboard and screen reader users in the lookup after clearing the selection
+     */
+    focusSearchInput() {
+        Promise.resolve().then(() => {
+            const input = this.template.querySelector('input[role="combobox"]');
+            if (input && !input.disabled) {
+                input.focus();
+            }
+        });
+    }
+
+    // Core Methods
+
+    /**
+     * @description Selects a record and updates component state
+     * @param {Object} record - Record object to select
+     * @param {string} objectApiName - Object of the record, defaults to the object the result came from
+     */
+    selectRecord(record, objectApiName = record.objectApiName || this.activeObjectApiName) {
+        try {
+            const formattedRecord = this.formatSelectedRecord(record, objectApiName);
+
+            if (this.allowMultipleSelection) {
+                // Don't let the selection grow past the maximum that validate() would reject
+                if (this.maxSelectionCount && this.selectedRecordsInternal.length >= this.maxSelectionCount) {
+                    this.validationError = this.customErrorMessage || `You can select up to ${this.maxSelectionCount} records.`;
+                    return;
+                }
+                
+                // Check if already selected
+                const existingIndex = this.selectedRecordsInternal.findIndex(r => r.Id === record.Id);
+                if (existingIndex === -1) {
+                    this.selectedRecordsInternal = [...this.selectedRecordsInternal, formattedRecord];
+                    // The new row is added at the end, so the rows are no longer in sorted order
+                    this.sortedBy = undefined;
+                }
+            } else {
+                this.selectedRecordsInternal = [formattedRecord];
+            }
+
+            this.updateOutputProperties();
+            
+            if (this.rememberRecentlyUsed) {
+                this.saveRecentlyUsedId(objectApiName, record.Id);
+            }
+        } catch (error) {
+            console.error('Error selecting record:', error);
+        }
+    }
+
+    /**
+     * @description Gets the local storage key of the recently used records of an object
+     * Keyed by user so people sharing a browser don't see each other's records
+     * @param {string} objectApiName - Object API name
+     * @return {string} Storage key
+     */
+    getRecentlyUsedStorageKey(objectApiName) {
+        return `${RECENTLY_USED_STORAGE_PREFIX}.${USER_ID}.${objectApiName}`;
+    }
+
+    /**
+     * @description Reads the records recently selected in this lookup from local storage
+     * @param {string} objectApiName - Object API name
+     * @return {Array} Record Ids, most recent first
+     */
+    getRecentlyUsedIds(objectApiName) {
+        try {
+            const storedIds = JSON.parse(window.localStorage.getItem(this.getRecentlyUsedStorageKey(objectApiName)));
+            return Array.isArray(storedIds) ? storedIds : [];
+        } catch (error) {
+            // Local storage can be unavailable (private browsing, Lightning Locker) or hold bad data
+            console.warn('Recently used records unavailable:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Moves a selected record to the front of the recently used records in local storage
+     * @param {string} objectApiName - Object API name
+     * @param {string} recordId - Selected record Id
+     */
+    saveRecentlyUsedId(objectApiName, recordId) {
+        try {
+            const recentIds = [recordId, ...this.getRecentlyUsedIds(objectApiName).filter(id => id !== recordId)]
+                .slice(0, RECENTLY_USED_LIMIT);
+            window.localStorage.setItem(this.getRecentlyUsedStorageKey(objectApiName), JSON.stringify(recentIds));
+        } catch (error) {
+            console.warn('Could not save recently used record:', error);
+        }
+    }
+
+    /**
+     * @description Formats a record for the selection state
+     * @param {Object} record - Record object
+     * @param {string} objectApiName - Object of the record
+     * @return {Object} Selected record with display values
+     */
+    formatSelectedRecord(record, objectApiName) {
+        const primaryField = this.getObjectConfig(objectApiName).primaryField;
+        return {
+            Id: record.Id,
+            objectApiName,
+            iconName: this.getRecordIcon(record, objectApiName),
+            primaryValue: this.getFieldValue(record, primaryField) || '',
+            secondaryValue: this.getSecondaryValue(record, objectApiName),
+            tertiaryValue: this.getTertiaryValue(record, objectApiName),
+            displayLabel: this.getFieldValue(record, primaryField) || record.Id,
+            originalRecord: record // Store the original record for datatable
+        };
+    }
+
+    /**
+     * @description Removes a selected record
+     * @param {string} recordId - ID of record to remove
+     */
+    removeRecord(recordId) {
+        try {
+            this.selectedRecordsInternal = this.selectedRecordsInternal.filter(record => record.Id !== recordId);
+            this.updateOutputProperties();
+            // If dropdown is open, refresh to show the removed record
+            if (this.showDropdown) {
+                this.performSearch();
+            }
+        } catch (error) {
+            console.error('Error removing record:', error);
+        }
+    }
+
+    /**
+     * @description Extracts and formats secondary field values from a record
+     * @param {Object} record - Record object
+     * @param {string} objectApiName - Object of the record, defaults to the primary object
+     * @return {string} Formatted secondary values
+     */
+    getSecondaryValue(record, objectApiName = this.primaryObjectApiName) {
+        try {
+            const secondaryValues = this.getObjectConfig(objectApiName).secondaryFields
+                .map(field => this.getFieldValue(record, field))
+                .filter(value => value)
+                .join(' • ');
+            return secondaryValues;
+        } catch (error) {
+            console.error('Error getting secondary value:', error);
+            return '';
+        }
+    }
+
+    /**
+     * @description Extracts and formats tertiary field values from a record
+     * @param {Object} record - Record object
+     * @param {string} objectApiName - Object of the record, defaults to the primary object
+     * @return {string} Formatted tertiary values
+     */
+    getTertiaryValue(record, objectApiName = this.primaryObjectApiName) {
+        try {
+            const tertiaryValues = this.getObjectConfig(objectApiName).tertiaryFields
+                .map(field => this.getFieldValue(record, field))
+                .filter(value => value)
+                .join(' • ');
+            return tertiaryValues;
+        } catch (error) {
+            console.error('Error getting tertiary value:', error);
+            return '';
+        }
+    }
+
+    /**
+     * @description Builds the Selected Record(s) output of a selected primary object record
+     * Holds the queried value of every configured field under its API name; relationship paths are
+     * output as nested records (Account.Owner.Name as Account: { Owner: { Name } }), the shape Flow
+     * uses for related fields of a record variable
+     * @param {Object} record - Selected record from selectedRecordsInternal
+     * @return {Object} Record with Id and the queried field values
+     */
+    toOutputRecord(record) {
+        const recordObj = { Id: record.Id };
+        const originalRecord = record.originalRecord || {};
+        
+        // Empty values are left out so they don't overwrite data in Update Records
+        this.getQueryFields(this.primaryObjectApiName).forEach(field => {
+            const value = this.getFieldValue(originalRecord, field);
+            if (value !== undefined && value !== null) {
+                this.setFieldValue(recordObj, field, value);
+            }
+        });
+        
+        return recordObj;
+    }
+
+    /**
+     * @description Updates output properties for Flow consumption
+     * Dispatches change event to notify Flow of updates
+     */
+    updateOutputProperties() {
+        // A new selection replaces the one that could not be loaded
+        this.selectionLoadError = '';
+        this.generateLinkUrls();
+        try {
+            if (this.allowMultipleSelection) {
+                this._selectedRecordIds = this.selectedRecordsInternal.map(record => record.Id);
+                this._selectedObjectApiNames = this.selectedRecordsInternal.map(record => record.objectApiName);
+                // Selected Records is typed to the primary object, so other objects are only in the Id outputs
+                this._selectedRecords = this.selectedRecordsInternal
+                    .filter(record => record.objectApiName === this.primaryObjectApiName)
+                    .map(record => this.toOutputRecord(record));
+                
+                // Clear single selection properties
+                this._recordId = '';
+                this._selectedRecord = null;
+                this._primaryFieldValue = '';
+                this._secondaryFieldValue = '';
+                this._tertiaryFieldValue = '';
+                this._selectedObjectApiName = '';
+            } else {
+                if (this.selectedRecordsInternal.length > 0) {
+                    const selectedRecord = this.selectedRecordsInternal[0];
+                    this._recordId = selectedRecord.Id;
+                    this._selectedObjectApiName = selectedRecord.objectApiName;
+                    this._primaryFieldValue = selectedRecord.primaryValue;
+                    this._secondaryFieldValue = selectedRecord.secondaryValue;
+                    this._tertiaryFieldValue = selectedRecord.tertiaryValue;
+                    // Selected Record is typed to the primary object like Selected Records
+                    this._selectedRecord = selectedRecord.objectApiName === this.primaryObjectApiName
+                        ? this.toOutputRecord(selectedRecord)
+                        : null;
+                } else {
+                    this._recordId = '';
+                    this._selectedRecord = null;
+                    this._primaryFieldValue = '';
+                    this._secondaryFieldValue = '';
+                    this._tertiaryFieldValue = '';
+                    this._selectedObjectApiName = '';
+                }
+                
+                // Clear multiple selection properties
+                this._selectedRecordIds = [];
+                this._selectedRecords = [];
+                this._selectedObjectApiNames = [];
+            }
+
+            // Refresh an error that is already shown so it clears once the selection is valid
+            if (this.validationError) {
+                this.validationError = this.getValidationError();
+            }
+
+            // Dispatch change event for Flow
+            const changeEvent = new CustomEvent('change', {
+                detail: {
+                    recordId: this.recordId,
+                    primaryFieldValue: this.primaryFieldValue,
+                    secondaryFieldValue: this.secondaryFieldValue,
+                    tertiaryFieldValue: this.tertiaryFieldValue,
+                    selectedRecordIds: this.selectedRecordIds,
+                    selectedRecords: this.selectedRecords,
+                    selectedRecord: this.selectedRecord,
+                    selectedObjectApiName: this.selectedObjectApiName,
+                    selectedObjectApiNames: this.selectedObjectApiNames
+                }
+            });
+            
+            console.log('Dispatching change event:', changeEvent.detail);
+            this.dispatchEvent(changeEvent);
+            
+            // Notify Flow so reactive screen components (e.g. dependent lookups) see the new values
+            Object.keys(changeEvent.detail).forEach(attributeName => {
+                this.dispatchEvent(new FlowAttributeChangeEvent(attributeName, changeEvent.detail[attributeName]));
+            });
+        } catch (error) {
+            console.error('Error updating output properties:', error);
+        }
+    }
+
+    /**
+     * @description Validates the selection when the user navigates in the Flow
+     * Implements the Flow screen component validation contract
+     * @return {Object} Object with isValid and, when invalid, errorMessage
+     */
+    @api
+    validate() {
+        const errorMessage = this.getValidationError();
+        this.validationError = errorMessage;
+        
+        if (errorMessage) {
+            return { isValid: false, errorMessage };
+        }
+        return { isValid: true };
+    }
+
+    /**
+     * @description Checks the selection against the required, minimum and maximum settings
+     * @return {string} Error message, or empty string when the selection is valid
+     */
+    getValidationError() {
+        const count = this.selectedRecordsInternal.length;
+        const minSelections = this.allowMultipleSelection ? Number(this.minSelections) || 0 : 0;
+        let errorMessage = '';
+        
+        if (this.required && count === 0) {
+            errorMessage = this.allowMultipleSelection ? 'Please select at least one record.' : 'Please select a record.';
+        } else if (minSelections && count < minSelections) {
+            errorMessage = `Please select at least ${minSelections} records.`;
+        } else if (this.maxSelectionCount && count > this.maxSelectionCount) {
+            errorMessage = `Please select no more than ${this.maxSelectionCount} records.`;
+        }
+        
+        return errorMessage ? this.customErrorMessage || errorMessage : '';
+    }
+
+    /**
+     * @description Performs search against Salesforce records
+     * Calls Apex controller to search for matching records
+     * @param {boolean} loadMore - Append the next page to the current results instead of starting over
+     */
+    async performSearch(loadMore = false) {
+        const objectApiName = this.activeObjectApiName;
+        const primaryField = this.getObjectConfig(objectApiName).primaryField;
+        if (!objectApiName || !primaryField) {
+            return;
+        }
+        
+        if (this.isAwaitingParent) {
+            this.searchResults = [];
+            return;
+        }
+        
+        if (this.isAwaitingFilterValue) {
+            this.searchResults = [];
+            return;
+        }
+
+        const isEmptySearch = !loadMore && !(this.searchTerm || '').trim();
+        if (isEmptySearch && this.defaultResultsMode === 'none') {
+            this.searchResults = [];
+            this.hasMoreResults = false;
+            this.isShowingRecent = false;
+            return;
+        }
+        if (isEmptySearch && this.defaultResultsMode === 'recent') {
+            this.loadRecentRecords();
+            return;
+        }
+        this.refineSearchMessage = '';
+        if (!loadMore && !isEmptySearch && this.isSearchTermTooShort) {
+            // Responses to earlier terms no longer apply
+            this._searchRequestId++;
+            this.searchResults = [];
+            this.hasMoreResults = false;
+            this.isShowingRecent = false;
+            this.isLoading = false;
+            return;
+        }
+
+        const requestId = ++this._searchRequestId;
+        if (loadMore) {
+            this.isLoadingMore = true;
+        } else {
+            this.isLoading = true;
+            this.hasMoreResults = false;
+            this.isShowingRecent = false;
+        }
+        this.hasError = false;
+
+        try {
+            const searchTerm = this.searchTerm;
+            const allFields = this.getQueryFields(objectApiName);
+            const searchFields = this.getSearchFields(objectApiName);
+            // The custom default results filter only narrows the results shown before the user types
+            const useDefaultFilter = this.defaultResultsMode === 'custom' && !(this.searchTerm || '').trim();
+            const filtersJson = this.buildFiltersJson(
+                objectApiName,
+                useDefaultFilter ? this.defaultFilterConditionsArray : []
+            );
+            const pageSize = this.effectivePageSize;
+            const offsetResults = loadMore ? this.searchResults.length : 0;
+
+            const response = await this.fetchSearchResults({
+                objectApiName,
+                searchTerm,
+                fieldsToReturn: allFields,
+                limitResults: pageSize,
+                filtersJson,
+                searchMode: this.searchMode || 'soql',
+                offsetResults,
+                searchFields
+            });
+            
+            // Responses can arrive out of order; only the latest search updates the results
+            if (requestId !== this._searchRequestId) {
+                return;
+            }
+
+            this.addInaccessibleFields(objectApiName, response.strippedFields);
+            if (response.skippedSearchFields) {
+                this.setSkippedSearchFields(objectApiName, response.skippedSearchFields);
+            }
+
+            // The server declined a search that would scan too many records
+            if (response.refineSearch) {
+                this.refineSearchMessage = response.message;
+                this.hasMoreResults = false;
+                if (!loadMore) {
+                    this.activeOptionIndex = -1;
+                    this.searchResults = [];
+                }
+                return;
+            }
+            const result = response.records;
+
+            // A full page means there may be more records to load
+            this.hasMoreResults = (result || []).length === pageSize;
+
+            // Process results to add computed display properties
+            const pageResults = this.toSearchResults(result, objectApiName, searchTerm);
+            
+            if (loadMore) {
+                // Records can shift between pages if data changed, so skip any already shown
+                const loadedIds = new Set(this.searchResults.map(record => record.Id));
+                this.searchResults = [
+                    ...this.searchResults,
+                    ...pageResults.filter(record => !loadedIds.has(record.Id))
+                ];
+            } else {
+                this.activeOptionIndex = -1;
+                this.searchResults = pageResults;
+            }
+        } catch (error) {
+            if (requestId !== this._searchRequestId) {
+                return;
+            }
+            console.error('Search error:', error);
+            this.handleSearchError(error, objectApiName);
+            
+            this.hasMoreResults = false;
+            if (!loadMore) {
+                this.searchResults = [];
+            }
+        } finally {
+            if (requestId === this._searchRequestId) {
+                this.isLoading = false;
+                this.isLoadingMore = false;
+            }
+        }
+    }
+
+    /**
+     * @description Gets search results from the cache, from a cached broader search, or from searchRecords
+     * Identical searches in flight share one Apex call; only first pages with records are cached
+     * @param {Object} params - searchRecords parameters
+     * @return {Promise<Object>} Search response with records, or refineSearch and a message
+     */
+    fetchSearchResults(params) {
+        if (params.offsetResults > 0) {
+            return searchRecords(params);
+        }
+        
+        const key = this.getSearchCacheKey(params);
+        const cached = this.getCachedSearch(key);
+        if (cached) {
+            return Promise.resolve({ records: cached.records, refineSearch: false });
+        }
+        
+        const narrowed = this.narrowCachedSearch(params);
+        if (narrowed) {
+            this.cacheSearch(params, narrowed.records, narrowed.searchedFields);
+            return Promise.resolve({ records: narrowed.records, refineSearch: false });
+        }
+        
+        if (!this._pendingSearches.has(key)) {
+            const request = searchRecords(params)
+                .then(response => {
+                    // Refine responses have no records to narrow down later
+                    if (!response.refineSearch) {
+                        this.cacheSearch(params, response.records || [], response.searchedFields);
+                    }
+                    return response;
+                })
+                .finally(() => {
+                    this._pendingSearches.delete(key);
+                });
+            this._pendingSearches.set(key, request);
+        }
+        return this._pendingSearches.get(key);
+    }
+
+    /**
+     * @description Gets the cache key of a search: object, fields, filter, mode, page size and term
+     * searchRecords trims the term and SOQL LIKE ignores case, so the term is trimmed and lowercased
+     * @param {Object} params - searchRecords parameters
+     * @return {string} Cache key
+     */
+    getSearchCacheKey(params) {
+        return JSON.stringify([
+            this.getSearchScopeKey(params),
+            (params.searchTerm || '').trim().toLowerCase()
+        ]);
+    }
+
+    /**
+     * @description Gets the part of the cache key shared by searches that only differ in their term
+     * @param {Object} params - searchRecords parameters
+     * @return {string} Scope key
+     */
+    getSearchScopeKey(params) {
+        return JSON.stringify([
+            params.objectApiName,
+            params.fieldsToReturn,
+            params.searchFields,
+            params.filtersJson,
+            params.searchMode,
+            params.limitResults
+        ]);
+    }
+
+    /**
+     * @description Gets a cached search that has not expired
+     * @param {string} key - Cache key
+     * @return {Object} Cache entry, or null when not cached or expired
+     */
+    getCachedSearch(key) {
+        const entry = this._searchCache.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() - entry.cachedAt > SEARCH_CACHE_TTL) {
+            this._searchCache.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * @description Caches the first page of a search, dropping the oldest search when the cache is full
+     * @param {Object} params - searchRecords parameters
+     * @param {Array} records - Records returned for the search
+     * @param {Array} searchedFields - Fields searchRecords matched the term against, if any
+     */
+    cacheSearch(params, records, searchedFields) {
+        const key = this.getSearchCacheKey(params);
+        this._searchCache.delete(key);
+        this._searchCache.set(key, {
+            records,
+            scopeKey: this.getSearchScopeKey(params),
+            searchTerm: (params.searchTerm || '').trim().toLowerCase(),
+            searchedFields: searchedFields || [],
+            // Fewer records than a page means these are all the records of the search
+            isComplete: records.length < params.limitResults,
+            cachedAt: Date.now()
+        });
+        
+        if (this._searchCache.size > MAX_CACHED_SEARCHES) {
+            this._searchCache.delete(this._searchCache.keys().next().value);
+        }
     }
 
     /**
-     * @description Gets display value for input field
-     * @return {string} Current input value
+     * @description Finds the results of a narrower search in a complete cached search
+     * Every record containing the longer term also contains the shorter one, so the cached records
+     * can be filtered locally on the fields the server searched. Only SOQL contains searches
+     * qualify: SOSL ranks whole words, and searches without a term report no searched fields
+     * @param {Object} params - searchRecords parameters
+     * @return {Object} Matching records in the server order and the searched fields, or null when no cached search applies
      */
-    get inputValue() {
-        if (!this.allowMultipleSelection && this.selectedRecordsInternal.length > 0) {
-            return this.selectedRecordsInternal[0].primaryValue;
+    narrowCachedSearch(params) {
+        const searchTerm = (params.searchTerm || '').trim().toLowerCase();
+        if (params.searchMode !== 'soql' || !searchTerm) {
+            return null;
         }
-        return this.searchTerm;
+        
+        const scopeKey = this.getSearchScopeKey(params);
+        let broadest = null;
+        this._searchCache.forEach((entry, key) => {
+            if (entry.scopeKey === scopeKey && entry.isComplete && entry.searchedFields.length &&
+                searchTerm.includes(entry.searchTerm) &&
+                this.getCachedSearch(key) && (!broadest || entry.searchTerm.length > broadest.searchTerm.length)) {
+                broadest = entry;
+            }
+        });
+        
+        if (!broadest) {
+            return null;
+        }
+        const { searchedFields } = broadest;
+        return {
+            records: broadest.records.filter(record => this.matchesSearchTerm(record, searchedFields, searchTerm)),
+            searchedFields
+        };
     }
 
     /**
-     * @description Gets CSS class for dropdown container
-     * @return {string} CSS class string
+     * @description Determines if a record matches a search term the way searchRecords does in SOQL mode
+     * Values of the fields searchRecords searched are matched case-insensitively
+     * @param {Object} record - Record returned by Apex
+     * @param {Array} fields - Fields searchRecords matched the term against
+     * @param {string} searchTerm - Lowercased search term
+     * @return {boolean} True if a searched field contains the term
      */
-    get dropdownClass() {
-        return `slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click ${this.showDropdown ? 'slds-is-open' : ''}`;
+    matchesSearchTerm(record, fields, searchTerm) {
+        return fields.some(field => {
+            const value = this.getFieldValue(record, field);
+            return typeof value === 'string' && value.toLowerCase().includes(searchTerm);
+        });
     }
 
     /**
-     * @description Gets CSS class for input field
-     * @return {string} CSS class string
+     * @description Empties the search cache, e.g. after a record was created
      */
-    get inputClass() {
-        return `slds-input slds-combobox__input ${this.showSingleSelection ? 'slds-combobox__input-value' : ''}`;
+    clearSearchCache() {
+        this._searchCache.clear();
     }
 
     /**
-     * @description Parses secondary fields configuration
-     * @return {Array} Array of secondary field names
+     * @description Loads the default results for an empty search: records recently used in this
+     * lookup followed by the user's recently viewed records
      */
-    get secondaryFieldsArray() {
+    async loadRecentRecords() {
+        const objectApiName = this.activeObjectApiName;
+        const requestId = ++this._searchRequestId;
+        
+        this.isLoading = true;
+        this.hasError = false;
+        this.hasMoreResults = false;
+        this.refineSearchMessage = '';
+        
         try {
-            // Handle both single field (new) and comma-separated (legacy) formats
-            if (!this.secondaryFields) return [];
+            const result = await getRecentRecords({
+                objectApiName,
+                fieldsToReturn: this.getQueryFields(objectApiName),
+                limitResults: this.effectivePageSize,
+                filtersJson: this.buildFiltersJson(objectApiName),
+                recentlyUsedIds: this.rememberRecentlyUsed ? this.getRecentlyUsedIds(objectApiName) : []
+            });
             
-            if (typeof this.secondaryFields === 'string') {
-                return this.secondaryFields.split(',').map(f => f.trim()).filter(f => f);
+            if (requestId !== this._searchRequestId) {
+                return;
             }
-            
-            // If it's already an array (shouldn't happen but defensive)
-            return Array.isArray(this.secondaryFields) ? this.secondaryFields : [this.secondaryFields];
+            this.activeOptionIndex = -1;
+            this.searchResults = this.toSearchResults(result, objectApiName);
+            this.isShowingRecent = true;
         } catch (error) {
-            console.error('Error parsing secondary fields:', error);
+            if (requestId !== this._searchRequestId) {
+                return;
+            }
+            console.error('Error loading recent records:', error);
+            this.handleSearchError(error, objectApiName);
+            this.searchResults = [];
+            this.isShowingRecent = false;
+        } finally {
+            if (requestId === this._searchRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    /**
+     * @description Adds the computed display properties to records returned by Apex
+     * @param {Object} records - Records returned by searchRecords or getRecentRecords
+     * @param {string} objectApiName - Object of the records
+     * @param {string} searchTerm - Search term the records were found with, highlighted in the results
+     * @return {Array} Search results for the dropdown
+     */
+    toSearchResults(records, objectApiName, searchTerm = '') {
+        const config = this.getObjectConfig(objectApiName);
+        return (records || []).map(record => {
+            const primaryFieldDisplay = this.getFieldValue(record, config.primaryField) || '';
+            const secondaryFieldDisplay = this.getSecondaryValue(record, objectApiName);
+            const primaryFieldSegments = this.getHighlightSegments(primaryFieldDisplay, searchTerm);
+            const secondaryFieldSegments = this.getHighlightSegments(secondaryFieldDisplay, searchTerm);
+            
+            // The result template replaces the primary and secondary lines of the first object,
+            // unless every field of the template is empty for this record
+            const renderedLines = this.hasResultTemplate(objectApiName) ? this.renderTemplateLines(record) : [];
+            const templateLines = renderedLines.length
+                ? renderedLines.map((text, index) => ({
+                    key: `line-${index}`,
+                    segments: this.getHighlightSegments(text, searchTerm),
+                    className: index === 0
+                        ? 'slds-listbox__option-text slds-listbox__option-text_entity'
+                        : 'slds-listbox__option-meta slds-listbox__option-meta_entity'
+                }))
+                : null;
+            const displayedSegments = templateLines
+                ? templateLines.flatMap(line => line.segments)
+                : [...primaryFieldSegments, ...secondaryFieldSegments];
+            const isMatchDisplayed = displayedSegments.some(segment => segment.isMatch);
+            
+            return {
+                ...record,
+                objectApiName,
+                primaryFieldDisplay,
+                secondaryFieldDisplay,
+                primaryFieldSegments,
+                secondaryFieldSegments,
+                templateLines,
+                // Rows can match on a field that is searched but not shown, e.g. a secondary field left out of the result template
+                matchedField: isMatchDisplayed ? null : this.findMatchedField(record, objectApiName, searchTerm),
+                iconName: this.getRecordIcon(record, objectApiName)
+            };
+        });
+    }
+
+    /**
+     * @description Finds the first searched field that is not shown in the dropdown and contains the search term
+     * The soslAll search mode matches every field, so all queried fields are checked then
+     * @param {Object} record - Record returned by Apex
+     * @param {string} objectApiName - Object of the record
+     * @param {string} searchTerm - Search term the record was found with
+     * @return {Object} Matched field with label and highlighted segments, or null if no field matched
+     */
+    findMatchedField(record, objectApiName, searchTerm) {
+        if (!(searchTerm || '').trim()) {
+            return null;
+        }
+        
+        const config = this.getObjectConfig(objectApiName);
+        // Lookup Ids (e.g. the parent relationship field) are queried but never searched
+        const displayedFields = [
+            ...(this.hasResultTemplate(objectApiName) ? this.templateFields : [config.primaryField, ...config.secondaryFields]),
+            this.parentRelationshipField
+        ];
+        const searchedFields = this.searchMode === 'soslAll' ? this.getQueryFields(objectApiName) : this.getSearchFields(objectApiName);
+        const hiddenFields = searchedFields.filter(field => !displayedFields.includes(field));
+        
+        for (const field of hiddenFields) {
+            const value = this.getFieldValue(record, field);
+            const describe = objectApiName === this.primaryObjectApiName ? this.getTableFieldDescribe(field) : null;
+            if (typeof value === 'string' && !(describe && describe.type === 'reference')) {
+                const segments = this.getHighlightSegments(value, searchTerm);
+                if (segments.some(segment => segment.isMatch)) {
+                    return {
+                        label: describe ? describe.label : this.getFieldLabel(field),
+                        segments
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @description Splits a display value into plain and matched segments for highlighting
+     * Each word of the search term is matched ignoring case and accents. Segments are rendered
+     * as text, so values are never interpreted as markup.
+     * @param {string} text - Display value
+     * @param {string} searchTerm - Search term
+     * @return {Array} Segments with key, text, isMatch and className
+     */
+    getHighlightSegments(text, searchTerm) {
+        const value = text === undefined || text === null ? '' : String(text);
+        const ranges = this.findMatchRanges(value, searchTerm);
+        const segments = [];
+        let position = 0;
+        
+        const addSegment = (end, isMatch) => {
+            if (end > position) {
+                segments.push({
+                    key: `segment-${segments.length}`,
+                    text: value.substring(position, end),
+                    isMatch,
+                    className: isMatch ? 'search-match' : ''
+                });
+                position = end;
+            }
+        };
+        
+        ranges.forEach(([start, end]) => {
+            addSegment(start, false);
+            addSegment(end, true);
+        });
+        addSegment(value.length, false);
+        
+        return segments;
+    }
+
+    /**
+     * @description Finds where the words of a search term occur in a value, ignoring case and accents
+     * @param {string} value - Display value
+     * @param {string} searchTerm - Search term
+     * @return {Array} Sorted, non-overlapping [start, end) ranges in the original value
+     */
+    findMatchRanges(value, searchTerm) {
+        const terms = this.normalizeSearchText(searchTerm || '').split(/\s+/).filter(term => term);
+        if (!value || terms.length === 0) {
             return [];
         }
+        
+        // Normalize character by character, remembering which original character each one came from
+        let normalized = '';
+        const originalIndexes = [];
+        for (let index = 0; index < value.length; index++) {
+            const characters = this.normalizeSearchText(value[index]);
+            for (let i = 0; i < characters.length; i++) {
+                normalized += characters[i];
+                originalIndexes.push(index);
+            }
+        }
+        
+        const ranges = [];
+        terms.forEach(term => {
+            let matchIndex = normalized.indexOf(term);
+            while (matchIndex !== -1) {
+                ranges.push([originalIndexes[matchIndex], originalIndexes[matchIndex + term.length - 1] + 1]);
+                matchIndex = normalized.indexOf(term, matchIndex + term.length);
+            }
+        });
+        
+        // Merge overlapping matches of different words
+        return ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push([...range]);
+                }
+                return merged;
+            }, []);
+    }
+
+    /**
+     * @description Lowercases text and removes its accents so "Éclair" matches "ecl"
+     * @param {string} text - Text to normalize
+     * @return {string} Normalized text
+     */
+    normalizeSearchText(text) {
+        return text.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    }
+
+    /**
+     * @description Shows a search error in the dropdown
+     * @param {Object} error - Error returned by Apex
+     * @param {string} objectApiName - Object that was searched
+     */
+    handleSearchError(error, objectApiName) {
+        const lookupError = this.parseLookupError(error);
+        console.error('Search error code:', lookupError.code, 'Details:', lookupError.adminMessage);
+
+        this.hasError = true;
+        this.errorMessage = lookupError.userMessage || DEFAULT_SEARCH_ERROR;
+        this.errorDiagnostics = this.getErrorDiagnostics(lookupError, objectApiName);
+    }
+
+    /**
+     * @description Shows why the selected records could not be loaded below the input
+     * @param {Object} error - Error returned by Apex
+     * @param {string} objectApiName - Object whose records were loaded
+     */
+    handleSelectionLoadError(error, objectApiName) {
+        const lookupError = this.parseLookupError(error);
+        console.error('Selection load error code:', lookupError.code, 'Details:', lookupError.adminMessage);
+
+        // Uncoded errors would otherwise show the search wording
+        this.selectionLoadError = lookupError.code === UNKNOWN_ERROR_CODE ? DEFAULT_SELECTION_ERROR : lookupError.userMessage;
+        this.errorDiagnostics = this.getErrorDiagnostics(lookupError, objectApiName);
+    }
+
+    /**
+     * @description Gets the diagnostics of an error, when the server allows the user to see them
+     * @param {Object} lookupError - Error from parseLookupError
+     * @param {string} objectApiName - Object of the failed call
+     * @return {Object} Code, admin message and object, or null for users who may not see them
+     */
+    getErrorDiagnostics(lookupError, objectApiName) {
+        return lookupError.canViewDiagnostics === true
+            ? { code: lookupError.code, adminMessage: lookupError.adminMessage, objectApiName }
+            : null;
+    }
+
+    /**
+     * @description Keeps the search fields the server left out because of its search field cap
+     * @param {string} objectApiName - Object that was searched
+     * @param {Array} skippedFields - Primary or secondary fields that were not searched
+     */
+    setSkippedSearchFields(objectApiName, skippedFields) {
+        this.skippedSearchFields = skippedFields.length
+            ? { message: `At most ${MAX_SEARCH_FIELDS} fields are searched. Not searched on ${objectApiName}: ${skippedFields.join(', ')}` }
+            : null;
+    }
+
+    /**
+     * @description Reads the LookupError serialized in the message of an Apex error
+     * Errors without a code, such as network failures, are reported as UNKNOWN_ERROR
+     * @param {Object} error - Error thrown by the Apex call
+     * @return {Object} Error with code, userMessage and adminMessage
+     */
+    parseLookupError(error) {
+        const message = error?.body?.message || error?.message || '';
+        try {
+            const lookupError = JSON.parse(message);
+            if (lookupError?.code) {
+                return lookupError;
+            }
+        } catch (parseError) {
+            // Not a LookupError, reported as UNKNOWN_ERROR below
+        }
+        return { code: UNKNOWN_ERROR_CODE, userMessage: DEFAULT_SEARCH_ERROR, adminMessage: message };
+    }
+    /**
+     * @description Loads the next page of search results
+     * Triggered by the "Show more results" option or by scrolling to the end of the dropdown
+     */
+    handleLoadMore() {
+        if (!this.showLoadMore || this.isLoadingMore) {
+            return;
+        }
+        this.performSearch(true);
+    }
+
+    /**
+     * @description Loads the next page when the dropdown is scrolled near its end (infinite scroll)
+     * @param {Event} event - Scroll event from the dropdown
+     */
+    handleDropdownScroll(event) {
+        const listbox = event.target;
+        if (listbox.scrollHeight - listbox.scrollTop - listbox.clientHeight < SCROLL_LOAD_THRESHOLD) {
+            this.handleLoadMore();
+        }
+    }
+
+    /**
+     * @description Keeps focus in the input when the "Show more results" option or a quick filter
+     * button is pressed, so the input blur doesn't close the dropdown
+     * @param {Event} event - Mousedown event from the option or button
+     */
+    handleDropdownMouseDown(event) {
+        event.preventDefault();
+    }
+
+    /**
+     * @description Determines if the quick filter buttons should be shown above the results
+     * @return {boolean} True when the quick filter field has values and the first object is searched
+     */
+    get showQuickFilters() {
+        return this.quickFilterOptions.length > 0 && this.activeObjectApiName === this.primaryObjectApiName;
+    }
+
+    /**
+     * @description Gets the quick filter buttons: All, then one per value of the quick filter field
+     * @return {Array} Buttons with key, label, value, className and ariaPressed
+     */
+    get quickFilterButtons() {
+        return [{ label: 'All', value: '' }, ...this.quickFilterOptions].map(option => {
+            const isActive = option.value === this.activeQuickFilter;
+            return {
+                key: `quick-filter-${option.value}`,
+                label: option.label,
+                value: option.value,
+                className: `slds-button slds-button_${isActive ? 'brand' : 'neutral'} quick-filter`,
+                ariaPressed: String(isActive)
+            };
+        });
+    }
+
+    /**
+     * @description Gets the accessible name of the quick filter buttons
+     * @return {string} Group label
+     */
+    get quickFilterGroupLabel() {
+        return `Filter ${this.activeObjectLabel} results`;
+    }
+
+    /**
+     * @description Determines if the "Show more results" option should be shown
+     * @return {boolean} True if the last page was full
+     */
+    get showLoadMore() {
+        return this.hasMoreResults && this.searchResults.length > 0 && !this.isLoading && !this.hasError;
+    }
+
+    /**
+     * @description Gets the text of the "Show more results" option
+     * @return {string} Option text
+     */
+    get loadMoreLabel() {
+        return this.isLoadingMore ? 'Loading more results...' : 'Show more results';
+    }
+
+    /**
+     * @description Gets the number of records requested per page
+     * @return {number} Page size between 1 and MAX_PAGE_SIZE, 10 by default
+     */
+    get effectivePageSize() {
+        const pageSize = parseInt(this.pageSize, 10);
+        if (!pageSize || pageSize < 1) {
+            return DEFAULT_PAGE_SIZE;
+        }
+        return Math.min(pageSize, MAX_PAGE_SIZE);
+    }
+
+    /**
+     * @description Gets the pause in typing before the search runs
+     * @return {number} Delay in ms, the default when not set or invalid
+     */
+    get effectiveSearchDelay() {
+        const searchDelay = parseInt(this.searchDelay, 10);
+        if (isNaN(searchDelay) || searchDelay < 0) {
+            return DEFAULT_SEARCH_DELAY;
+        }
+        return Math.min(searchDelay, MAX_SEARCH_DELAY);
+    }
+
+    /**
+     * @description Gets the number of characters to type before the search runs
+     * @return {number} Minimum search term length, at least the length searchRecords requires
+     */
+    get effectiveMinSearchLength() {
+        const minSearchLength = parseInt(this.minSearchLength, 10);
+        if (!minSearchLength || minSearchLength < MIN_SEARCH_LENGTH) {
+            return MIN_SEARCH_LENGTH;
+        }
+        return Math.min(minSearchLength, MAX_MIN_SEARCH_LENGTH);
+    }
+
+    /**
+     * @description Determines if the user has typed fewer characters than the search needs
+     * @return {boolean} True for a non-empty term shorter than the minimum
+     */
+    get isSearchTermTooShort() {
+        const length = (this.searchTerm || '').trim().length;
+        return length > 0 && length < this.effectiveMinSearchLength;
+    }
+
+    /**
+     * @description Determines if the flow runs from Flow Builder's Debug
+     * @return {boolean} True inside Flow Builder
+     */
+    get isFlowDebugMode() {
+        return window.location.pathname.includes(FLOW_BUILDER_PATH);
+    }
+
+    /**
+     * @description Gets the technical details of the last search or selection load error, for admins
+     * Only errors the server marked as viewable by the running user carry details;
+     * they are shown when the flow is debugged or Show Error Diagnostics is on
+     * @return {Object} Diagnostics, or null when there is no error or they are hidden
+     */
+    get diagnosticsPanel() {
+        const hasError = this.hasError || Boolean(this.selectionLoadError);
+        if (!hasError || !this.errorDiagnostics || !(this.showDiagnostics || this.isFlowDebugMode)) {
+            return null;
+        }
+        return this.errorDiagnostics;
+    }
+
+    /**
+     * @description Gets the search fields the server left out of the last search, for admins
+     * The server only reports them to admins; shown when the flow is debugged or Show Error Diagnostics is on
+     * @return {Object} Notice with its message, or null when all fields were searched or it is hidden
+     */
+    get searchFieldsNotice() {
+        if (!this.skippedSearchFields || !(this.showDiagnostics || this.isFlowDebugMode)) {
+            return null;
+        }
+        return this.skippedSearchFields;
+    }
+
+    /**
+     * @description Gets the hint shown below the input while the search term is too short or too broad
+     * @return {string} Hint, or an empty string when the search can run
+     */
+    get searchHint() {
+        if (this.isSearchTermTooShort) {
+            return `Type at least ${this.effectiveMinSearchLength} characters to search`;
+        }
+        return this.refineSearchMessage;
+    }
+
+    /**
+     * @description Gets the element id of the search hint
+     * @return {string} Hint id
+     */
+    get searchHintId() {
+        return `${this._idPrefix}-hint`;
+    }
+
+    /**
+     * @description Gets the id of the element that describes the search input
+     * @return {string} Search hint id, or undefined when no hint is shown
+     */
+    get inputAriaDescribedBy() {
+        return this.searchHint ? this.searchHintId : undefined;
+    }
+
+    /**
+     * @description Gets the message shown when there is nothing to select
+     * @return {string} Message that depends on whether the user has typed a search term
+     */
+    get noResultsMessage() {
+        if (this.searchHint) {
+            return this.searchHint;
+        }
+        if (!(this.searchTerm || '').trim()) {
+            if (this.defaultResultsMode === 'none') {
+                return 'Type to search';
+            }
+            if (this.defaultResultsMode === 'recent') {
+                return 'No recent records. Type to search.';
+            }
+        }
+        return 'No results found';
+    }
+
+    /**
+     * @description Gets the heading shown above the recent records
+     * @return {string} Heading such as 'Recent Accounts'
+     */
+    get recentResultsHeader() {
+        return `Recent ${this.activeObjectLabel} Records`;
+    }
+
+    /**
+     * @description Determines if the recent records heading should be shown
+     * @return {boolean} True if the dropdown lists recent records
+     */
+    get showRecentResultsHeader() {
+        return this.isShowingRecent && !this.isLoading && !this.hasError && this.filteredSearchResults.length > 0;
+    }
+
+    /**
+     * @description Determines if the no results message should be shown
+     * @return {boolean} True if a finished search returned nothing selectable
+     */
+    get showNoResults() {
+        return !this.isLoading && !this.hasError && this.filteredSearchResults.length === 0 && !this.showLoadMore;
+    }
+
+    /**
+     * @description Gets filtered search results excluding already selected records
+     * @return {Array} Filtered array of search results
+     */
+    get filteredSearchResults() {
+        const selectedIds = this.selectedRecordsInternal.map(r => r.Id);
+        return this.searchResults.filter(record => !selectedIds.includes(record.Id));
+    }
+    
+    /**
+     * @description Gets the number of options that can be highlighted, including the load more and create items
+     * @return {number} Option count
+     */
+    get optionCount() {
+        return this.createOptionIndex + (this.showCreateOption ? 1 : 0);
+    }
+
+    /**
+     * @description Gets the search results with the ids and state needed for keyboard navigation
+     * @return {Array} Search results with optionId, optionIndex, optionClass and ariaSelected
+     */
+    get resultOptions() {
+        const duplicateValues = this.duplicatePrimaryValues;
+        const describedIndex = this.showRecordDetails ? this.activeOptionIndex : -1;
+        return this.filteredSearchResults.map((record, index) => ({
+            ...record,
+            optionId: this.getOptionId(index),
+            optionIndex: index,
+            optionClass: this.getOptionClass(index, true),
+            ariaSelected: String(index === this.activeOptionIndex),
+            ariaDescribedBy: index === describedIndex ? this.detailsPanelId : null,
+            isDuplicate: duplicateValues.has(this.getDuplicateKey(record))
+        }));
+    }
+
+    /**
+     * @description Gets the primary field values shared by several search results
+     * @return {Set} Normalized values, empty when duplicate warnings are off
+     */
+    get duplicatePrimaryValues() {
+        const duplicates = new Set();
+        if (!this.warnOnDuplicates) {
+            return duplicates;
+        }
+        
+        const seen = new Set();
+        this.filteredSearchResults.forEach(record => {
+            const value = this.getDuplicateKey(record);
+            if (value && seen.has(value)) {
+                duplicates.add(value);
+            }
+            seen.add(value);
+        });
+        return duplicates;
+    }
+
+    /**
+     * @description Gets the value that duplicate results share
+     * @param {Object} record - Search result
+     * @return {string} Primary field value ignoring case and accents
+     */
+    getDuplicateKey(record) {
+        return this.normalizeSearchText(String(record.primaryFieldDisplay || '')).trim();
+    }
+
+    /**
+     * @description Determines if the duplicate warning is shown above the results
+     * @return {boolean} True if several results have the same primary field value
+     */
+    get showDuplicateWarning() {
+        return this.duplicatePrimaryValues.size > 0;
+    }
+
+    /**
+     * @description Gets the warning shown when several results have the same primary field value
+     * @return {string} Warning text
+     */
+    get duplicateWarning() {
+        const detailsHint = this.showRecordDetails ? ' Highlight a result to see its details.' : '';
+        return `Several results have the same ${this.primaryFieldLabel.toLowerCase()}.${detailsHint}`;
+    }
+
+    /**
+     * @description Gets the note shown on results that share their primary field value
+     * @return {string} Note text
+     */
+    get duplicateResultLabel() {
+        return `Same ${this.primaryFieldLabel.toLowerCase()} as another result`;
     }
 
     /**
-     * @description Parses tertiary fields configuration
-     * @return {Array} Array of tertiary field names
+     * @description Gets the label of the primary field of the searched object
+     * @return {string} Field label
      */
-    get tertiaryFieldsArray() {
-        try {
-            // Handle both single field (new) and comma-separated (legacy) formats
-            if (!this.tertiaryFields) return [];
-            
-            if (typeof this.tertiaryFields === 'string') {
-                return this.tertiaryFields.split(',').map(f => f.trim()).filter(f => f);
-            }
-            
-            // If it's already an array (shouldn't happen but defensive)
-            return Array.isArray(this.tertiaryFields) ? this.tertiaryFields : [this.tertiaryFields];
-        } catch (error) {
-            console.error('Error parsing tertiary fields:', error);
-            return [];
-        }
+    get primaryFieldLabel() {
+        return this.getFieldLabel(this.getObjectConfig(this.activeObjectApiName).primaryField);
     }
 
-    // Event Handlers
+    /**
+     * @description Gets the details fields of the first object
+     * @return {Array} Field API names or relationship paths
+     */
+    get detailFieldsArray() {
+        return this.parseFieldList(this._detailFields);
+    }
 
     /**
-     * @description Handles input field focus event
-     * Shows dropdown and triggers search if needed
+     * @description Determines if highlighted results show the details panel
+     * @return {boolean} True when details fields are configured and the first object is searched
      */
-    handleInputFocus() {
-        console.log('Input focused');
-        this.showDropdown = true;
-        if (this.searchTerm || this.searchResults.length === 0) {
-            this.performSearch();
-        }
+    get showRecordDetails() {
+        return this.detailFieldsArray.length > 0 && this.activeObjectApiName === this.primaryObjectApiName;
     }
 
     /**
-     * @description Handles input field change event
-     * Implements debounced search functionality
-     * @param {Event} event - Input change event
+     * @description Gets the search result of the highlighted option
+     * @return {Object} Search result, or undefined when no result is highlighted
      */
-    handleInputChange(event) {
-        this.searchTerm = event.target.value;
-        this.showDropdown = true;
-        
-        // Clear existing timeout
-        if (this.searchTimeout) {
-            clearTimeout(this.searchTimeout);
-        }
-        
-        // Set new timeout for debounced search
-        this.searchTimeout = setTimeout(() => {
-            this.performSearch();
-        }, 300);
+    get activeResult() {
+        return this.filteredSearchResults[this.activeOptionIndex];
     }
 
     /**
-     * @description Handles input field blur event
-     * Delays hiding dropdown to allow for option selection
+     * @description Gets the element id of the details panel
+     * @return {string} Panel id
      */
-    handleInputBlur() {
-        // Delay hiding dropdown to allow for option selection
-        setTimeout(() => {
-            this.showDropdown = false;
-        }, 200);
+    get detailsPanelId() {
+        return `${this._idPrefix}-details`;
     }
 
     /**
-     * @description Handles option selection from dropdown
-     * @param {Event} event - Click event from option
+     * @description Gets the details panel of the highlighted result
+     * @return {Object} Panel with title, isLoading and fields, or null when no panel is shown
      */
-    handleOptionSelect(event) {
-        const recordId = event.currentTarget.dataset.recordId;
-        const selectedRecord = this.searchResults.find(record => record.Id === recordId);
-        
-        if (selectedRecord) {
-            this.selectRecord(selectedRecord);
+    get detailsPanel() {
+        const activeResult = this.activeResult;
+        if (!this.showRecordDetails || !activeResult) {
+            return null;
         }
         
-        this.showDropdown = false;
-        this.searchTerm = '';
+        const record = this.recordDetails[activeResult.Id];
+        return {
+            title: activeResult.primaryFieldDisplay || activeResult.Id,
+            isLoading: !(activeResult.Id in this.recordDetails),
+            isUnavailable: record === null,
+            fields: record
+                ? this.detailFieldsArray.filter(field => this.isFieldAccessible(this.primaryObjectApiName, field)).map(field => {
+                    const describe = this.detailFieldDescribes.find(fieldDescribe => fieldDescribe.fieldName === field);
+                    return {
+                        labelKey: `${field}-label`,
+                        valueKey: `${field}-value`,
+                        label: describe ? describe.label : this.getFieldLabel(field),
+                        value: this.formatFieldValue(record, field) || '—'
+                    };
+                })
+                : []
+        };
     }
 
     /**
-     * @description Handles pill removal in multiple selection mode
-     * @param {Event} event - Pill remove event
+     * @description Gets the index of the "Show more results" item, which follows the search results
+     * @return {number} Option index
      */
-    handlePillRemove(event) {
-        const recordId = event.detail.item.name;
-        this.removeRecord(recordId);
+    get loadMoreOptionIndex() {
+        return this.filteredSearchResults.length;
     }
-    
+
     /**
-     * @description Handles datatable row action
-     * @param {Event} event - Row action event
+     * @description Gets the element id of the "Show more results" item
+     * @return {string} Option id
      */
-    handleRowAction(event) {
-        const action = event.detail.action;
-        const row = event.detail.row;
-        
-        if (action.name === 'remove') {
-            this.removeRecord(row.Id);
-        }
+    get loadMoreOptionId() {
+        return this.getOptionId(this.loadMoreOptionIndex);
     }
 
     /**
-     * @description Handles clearing selection in single selection mode
+     * @description Gets the CSS class of the "Show more results" item
+     * @return {string} CSS class string
      */
-    handleClearSelection() {
-        this.selectedRecordsInternal = [];
-        this.updateOutputProperties();
-        this.searchTerm = '';
-        // Trigger a new search to refresh the available options
-        this.performSearch();
+    get loadMoreOptionClass() {
+        return this.getOptionClass(this.loadMoreOptionIndex, false);
     }
 
-    // Core Methods
-
     /**
-     * @description Selects a record and updates component state
-     * @param {Object} record - Record object to select
+     * @description Gets aria-selected of the "Show more results" item
+     * @return {string} 'true' when the item is highlighted
      */
-    selectRecord(record) {
-        try {
-            const formattedRecord = {
-                Id: record.Id,
-                primaryValue: record[this.primaryField] || '',
-                secondaryValue: this.getSecondaryValue(record),
-                tertiaryValue: this.getTertiaryValue(record),
-                displayLabel: record[this.primaryField] || record.Id,
-                originalRecord: record // Store the original record for datatable
-            };
-
-            if (this.allowMultipleSelection) {
-                // Check if already selected
-                const existingIndex = this.selectedRecordsInternal.findIndex(r => r.Id === record.Id);
-                if (existingIndex === -1) {
-                    this.selectedRecordsInternal = [...this.selectedRecordsInternal, formattedRecord];
-                }
-            } else {
-                this.selectedRecordsInternal = [formattedRecord];
-            }
+    get loadMoreOptionSelected() {
+        return String(this.loadMoreOptionIndex === this.activeOptionIndex);
+    }
 
-            this.updateOutputProperties();
-        } catch (error) {
-            console.error('Error selecting record:', error);
-        }
+    /**
+     * @description Gets the element id of the create item
+     * @return {string} Option id
+     */
+    get createOptionId() {
+        return this.getOptionId(this.createOptionIndex);
     }
 
     /**
-     * @description Removes a selected record
-     * @param {string} recordId - ID of record to remove
+     * @description Gets the index of the create item, which is always the last option
+     * @return {number} Option index
      */
-    removeRecord(recordId) {
-        try {
-            this.selectedRecordsInternal = this.selectedRecordsInternal.filter(record => record.Id !== recordId);
-            this.updateOutputProperties();
-            // If dropdown is open, refresh to show the removed record
-            if (this.showDropdown) {
-                this.performSearch();
-            }
-        } catch (error) {
-            console.error('Error removing record:', error);
-        }
+    get createOptionIndex() {
+        return this.filteredSearchResults.length + (this.showLoadMore ? 1 : 0);
     }
 
     /**
-     * @description Extracts and formats secondary field values from a record
-     * @param {Object} record - Record object
-     * @return {string} Formatted secondary values
+     * @description Gets the CSS class of the create item
+     * @return {string} CSS class string
      */
-    getSecondaryValue(record) {
-        try {
-            const secondaryValues = this.secondaryFieldsArray
-                .map(field => record[field])
-                .filter(value => value)
-                .join(' • ');
-            return secondaryValues;
-        } catch (error) {
-            console.error('Error getting secondary value:', error);
-            return '';
-        }
+    get createOptionClass() {
+        return this.getOptionClass(this.createOptionIndex, false);
     }
 
     /**
-     * @description Extracts and formats tertiary field values from a record
-     * @param {Object} record - Record object
-     * @return {string} Formatted tertiary values
+     * @description Gets aria-selected of the create item
+     * @return {string} 'true' when the create item is highlighted
      */
-    getTertiaryValue(record) {
-        try {
-            const tertiaryValues = this.tertiaryFieldsArray
-                .map(field => record[field])
-                .filter(value => value)
-                .join(' • ');
-            return tertiaryValues;
-        } catch (error) {
-            console.error('Error getting tertiary value:', error);
-            return '';
-        }
+    get createOptionSelected() {
+        return String(this.createOptionIndex === this.activeOptionIndex);
     }
 
     /**
-     * @description Updates output properties for Flow consumption
-     * Dispatches change event to notify Flow of updates
+     * @description Builds the element id of an option, unique to this lookup instance
+     * @param {number} index - Option index
+     * @return {string} Option id
      */
-    updateOutputProperties() {
-        try {
-            if (this.allowMultipleSelection) {
-                this.selectedRecordIds = this.selectedRecordsInternal.map(record => record.Id);
-                this.selectedRecords = this.selectedRecordsInternal.map(record => {
-                    const recordObj = {
-                        Id: record.Id,
-                        Name: record.primaryValue // Add Name field for consistency
-                    };
-                    
-                    // Add the actual field values dynamically
-                    if (this.primaryField && record.primaryValue) {
-                        recordObj[this.primaryField] = record.primaryValue;
-                    }
-                    
-                    // Only add secondary/tertiary fields if they have values
-                    if (this.secondaryFieldsArray.length > 0 && record.secondaryValue) {
-                        this.secondaryFieldsArray.forEach(field => {
-                            recordObj[field] = record.secondaryValue;
-                        });
-                    }
-                    
-                    if (this.tertiaryFieldsArray.length > 0 && record.tertiaryValue) {
-                        this.tertiaryFieldsArray.forEach(field => {
-                            recordObj[field] = record.tertiaryValue;
-                        });
-                    }
-                    
-                    return recordObj;
-                });
-                
-                // Clear single selection properties
-                this.recordId = '';
-                this.primaryFieldValue = '';
-                this.secondaryFieldValue = '';
-                this.tertiaryFieldValue = '';
-            } else {
-                if (this.selectedRecordsInternal.length > 0) {
-                    const selectedRecord = this.selectedRecordsInternal[0];
-                    this.recordId = selectedRecord.Id;
-                    this.primaryFieldValue = selectedRecord.primaryValue;
-                    this.secondaryFieldValue = selectedRecord.secondaryValue;
-                    this.tertiaryFieldValue = selectedRecord.tertiaryValue;
-                } else {
-                    this.recordId = '';
-                    this.primaryFieldValue = '';
-                    this.secondaryFieldValue = '';
-                    this.tertiaryFieldValue = '';
-                }
-                
-                // Clear multiple selection properties
-                this.selectedRecordIds = [];
-                this.selectedRecords = [];
-            }
+    getOptionId(index) {
+        return `${this._idPrefix}-option-${index}`;
+    }
 
-            // Dispatch change event for Flow
-            const changeEvent = new CustomEvent('change', {
-                detail: {
-                    recordId: this.recordId,
-                    primaryFieldValue: this.primaryFieldValue,
-                    secondaryFieldValue: this.secondaryFieldValue,
-                    tertiaryFieldValue: this.tertiaryFieldValue,
-                    selectedRecordIds: this.selectedRecordIds,
-                    selectedRecords: this.selectedRecords
-                }
-            });
-            
-            console.log('Dispatching change event:', changeEvent.detail);
-            this.dispatchEvent(changeEvent);
-        } catch (error) {
-            console.error('Error updating output properties:', error);
+    /**
+     * @description Builds the CSS class of an option, marking the highlighted one
+     * @param {number} index - Option index
+     * @param {boolean} hasMeta - Whether the option shows a secondary line
+     * @return {string} CSS class string
+     */
+    getOptionClass(index, hasMeta) {
+        let optionClass = 'slds-media slds-listbox__option slds-listbox__option_entity';
+        if (hasMeta) {
+            optionClass += ' slds-listbox__option_has-meta';
         }
+        if (index === this.activeOptionIndex) {
+            optionClass += ' slds-has-focus';
+        }
+        return optionClass;
     }
 
     /**
-     * @description Performs search against Salesforce records
-     * Calls Apex controller to search for matching records
+     * @description Gets the id of the search input
+     * @return {string} Input id
      */
-    async performSearch() {
-        if (!this.objectApiName || !this.primaryField) {
-            console.log('Missing required fields for search');
-            return;
-        }
+    get inputId() {
+        return `${this._idPrefix}-input`;
+    }
 
-        this.isLoading = true;
-        this.hasError = false;
+    /**
+     * @description Gets the id of the results listbox referenced by aria-controls
+     * @return {string} Listbox id
+     */
+    get listboxId() {
+        return `${this._idPrefix}-listbox`;
+    }
 
-        try {
-            const allFields = [
-                this.primaryField,
-                ...this.secondaryFieldsArray,
-                ...this.tertiaryFieldsArray
-            ].filter((field, index, array) => array.indexOf(field) === index); // Remove duplicates
-
-            console.log('Performing search with:', {
-                objectApiName: this.objectApiName,
-                searchTerm: this.searchTerm,
-                fieldsToReturn: allFields
-            });
+    /**
+     * @description Gets the id of the create form heading referenced by the modal
+     * @return {string} Heading id
+     */
+    get createModalHeadingId() {
+        return `${this._idPrefix}-create-heading`;
+    }
 
-            const result = await searchRecords({
-                objectApiName: this.objectApiName,
-                searchTerm: this.searchTerm,
-                fieldsToReturn: allFields,
-                limitResults: 10, // Default limit
-                whereClause: '' // No additional where clause
-            });
+    /**
+     * @description Gets aria-expanded of the input
+     * @return {string} 'true' when the dropdown is open
+     */
+    get ariaExpanded() {
+        return String(this.showDropdown);
+    }
 
-            // Process results to add computed display properties
-            this.searchResults = (result || []).map(record => {
-                return {
-                    ...record,
-                    primaryFieldDisplay: record[this.primaryField] || '',
-                    secondaryFieldDisplay: this.getSecondaryValue(record),
-                    iconName: this.objectIconName // Use the component's icon which was loaded from Apex
-                };
-            });
+    /**
+     * @description Gets aria-activedescendant of the input
+     * @return {string} Id of the highlighted option, or null when none is highlighted
+     */
+    get activeDescendantId() {
+        if (!this.showDropdown || this.activeOptionIndex < 0 || this.activeOptionIndex >= this.optionCount) {
+            return null;
+        }
+        return this.getOptionId(this.activeOptionIndex);
+    }
 
-            console.log('Search completed. Results:', this.searchResults.length);
+    /**
+     * @description Gets the accessible name of the input
+     * @return {string} Label such as 'Search Accounts'
+     */
+    get inputAriaLabel() {
+        return `Search ${this.activeObjectLabel}`;
+    }
 
-        } catch (error) {
-            console.error('Search error:', error);
-            this.hasError = true;
-            
-            // Provide specific error messages
-            if (error.body?.message?.includes('Invalid object')) {
-                this.errorMessage = `The object "${this.objectApiName}" is not accessible or does not exist.`;
-            } else if (error.body?.message?.includes('field')) {
-                this.errorMessage = 'One or more selected fields are not accessible. Please check your configuration.';
-            } else if (error.body?.message?.includes('Object API Name is required')) {
-                this.errorMessage = 'Please configure the object to search.';
-            } else {
-                this.errorMessage = error.body?.message || 'An error occurred while searching. Please try again or contact your administrator.';
-            }
-            
-            this.searchResults = [];
-        } finally {
-            this.isLoading = false;
-        }
+    /**
+     * @description Gets the accessible name of the single selection input
+     * @return {string} Label naming the selected record
+     */
+    get selectionAriaLabel() {
+        return `Selected ${this.activeObjectLabel}: ${this.inputValue}. Press Delete to clear.`;
     }
 
     /**
-     * @description Gets filtered search results excluding already selected records
-     * @return {Array} Filtered array of search results
+     * @description Gets the text of the live region read by screen readers
+     * @return {string} Loading, error or result count announcement
      */
-    get filteredSearchResults() {
-        const selectedIds = this.selectedRecordsInternal.map(r => r.Id);
-        return this.searchResults.filter(record => !selectedIds.includes(record.Id));
+    get resultsAnnouncement() {
+        if (!this.showDropdown) {
+            return '';
+        }
+        if (this.isLoading || this.isLoadingMore) {
+            return 'Loading results';
+        }
+        if (this.hasError) {
+            return this.errorMessage;
+        }
+        
+        const count = this.filteredSearchResults.length;
+        if (count === 0 && !this.showLoadMore) {
+            return this.noResultsMessage;
+        }
+        const moreText = this.showLoadMore ? ' More results can be loaded.' : '';
+        const duplicateText = this.showDuplicateWarning ? ` ${this.duplicateWarning}` : '';
+        return `${count} ${count === 1 ? 'result' : 'results'} available.${moreText}${duplicateText} Use the up and down arrow keys to navigate.`;
     }
     
     /**
@@ -632,7 +4020,7 @@ export default class MsFlowLookupLWC extends LightningElement {
                 type: 'icon',
                 label: record.displayLabel,
                 name: record.Id,
-                iconName: this.objectIconName,
+                iconName: record.iconName,
                 fallbackIconName: 'standard:record'
             }));
         } catch (error) {
@@ -641,32 +4029,78 @@ export default class MsFlowLookupLWC extends LightningElement {
         }
     }
     
+    /**
+     * @description Gets the Ids to select when the component loads
+     * Multiple selection combines the restored selection with the pre-selection inputs;
+     * single selection uses the first available Id
+     * @return {Array} Deduplicated array of record Ids
+     */
+    get initialRecordIds() {
+        const recordIds = this.allowMultipleSelection
+            ? [...this.toIdArray(this.selectedRecordIds), ...this.toIdArray(this.preselectedRecordIds)]
+            : [this.recordId, ...this.toIdArray(this.preselectedRecordIds)];
+        
+        (Array.isArray(this.preselectedRecords) ? this.preselectedRecords : []).forEach(record => {
+            if (record && record.Id) {
+                recordIds.push(record.Id);
+            }
+        });
+        
+        const uniqueIds = recordIds.filter((recordId, index, array) => recordId && array.indexOf(recordId) === index);
+        return this.allowMultipleSelection ? uniqueIds : uniqueIds.slice(0, 1);
+    }
+
+    /**
+     * @description Normalizes an Id collection input
+     * @param {Array|string} value - Array of Ids, or a comma-separated string
+     * @return {Array} Array of record Ids
+     */
+    toIdArray(value) {
+        if (Array.isArray(value)) return value.filter(recordId => recordId);
+        if (typeof value === 'string' && value) return value.split(',').map(recordId => recordId.trim()).filter(recordId => recordId);
+        return [];
+    }
+
     /**
      * @description Loads pre-selected record data
-     * Called when component is initialized with a recordId
+     * Queries all Ids with a single getRecordDetails call per object and keeps the given order
+     * @param {Array} recordIds - Ids of the records to select
      */
-    async loadSelectedRecord() {
+    async loadSelectedRecords(recordIds) {
+        this.selectionLoadError = '';
         try {
-            console.log('Loading pre-selected record:', this.recordId);
-            
-            const allFields = [
-                this.primaryField,
-                ...this.secondaryFieldsArray,
-                ...this.tertiaryFieldsArray
-            ].filter((field, index, array) => array.indexOf(field) === index);
+            // The record's object is unknown in a multi-object lookup, so query each object
+            const failures = [];
+            const results = await Promise.all(this.objectApiNames.map(objectApiName => getRecordDetails({
+                objectApiName,
+                recordIds,
+                fieldsToReturn: this.getQueryFields(objectApiName)
+            }).catch(error => {
+                failures.push({ error, objectApiName });
+                return [];
+            })));
             
-            const result = await getRecordDetails({
-                objectApiName: this.objectApiName,
-                recordIds: [this.recordId],
-                fieldsToReturn: allFields
+            const loadedRecords = [];
+            results.forEach((records, index) => {
+                (records || []).forEach(record => {
+                    loadedRecords.push(this.formatSelectedRecord(record, this.objectApiNames[index]));
+                });
             });
             
-            if (result && result.length > 0) {
-                this.selectRecord(result[0]);
-                console.log('Pre-selected record loaded successfully');
+            // Ids may be 15 or 18 characters, so match them the same way as parent Ids
+            const selectedRecords = recordIds
+                .map(recordId => loadedRecords.find(record => this.isSameRecordId(record.Id, recordId)))
+                .filter((record, index, array) => record && array.indexOf(record) === index);
+            
+            if (selectedRecords.length) {
+                this.selectedRecordsInternal = selectedRecords;
+                this.updateOutputProperties();
+            } else if (failures.length) {
+                // Another object of a multi-object lookup may hold the records, so only report when none loaded
+                this.handleSelectionLoadError(failures[0].error, failures[0].objectApiName);
             }
         } catch (error) {
-            console.error('Error loading pre-selected record:', error);
+            this.handleSelectionLoadError(error, this.primaryObjectApiName);
         }
     }
 }
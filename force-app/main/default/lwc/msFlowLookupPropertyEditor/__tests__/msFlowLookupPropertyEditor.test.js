@@ -0,0 +1,198 @@
+import { createElement } from 'lwc';
+import MsFlowLookupPropertyEditor from 'c/msFlowLookupPropertyEditor';
+import getObjectOptions from '@salesforce/apex/MsFlowLookupController.getObjectOptions';
+import getFieldOptions from '@salesforce/apex/MsFlowLookupController.getFieldOptions';
+import getRelatedFieldOptions from '@salesforce/apex/MsFlowLookupController.getRelatedFieldOptions';
+import getFilterableFieldOptions from '@salesforce/apex/MsFlowLookupController.getFilterableFieldOptions';
+import getCreateableFieldOptions from '@salesforce/apex/MsFlowLookupController.getCreateableFieldOptions';
+import getRecordTypeOptions from '@salesforce/apex/MsFlowLookupController.getRecordTypeOptions';
+
+// Object and field options returned by the describe mocks
+const mockObjectOptions = require('./data/getObjectOptions.json');
+const mockFieldOptions = require('./data/getFieldOptions.json');
+
+// Every Apex method the editor imports is mocked, so the suite runs without an org
+jest.mock('@salesforce/apex/MsFlowLookupController.getObjectOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getFieldOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getRelatedFieldOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getFilterableFieldOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getCreateableFieldOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/MsFlowLookupController.getRecordTypeOptions', () => ({ default: jest.fn() }), { virtual: true });
+
+/**
+ * @description Creates the editor with the given Flow Builder input variables and adds it to the DOM
+ * Change events are recorded from the start, including the defaults the editor fills in
+ * @param {Object} values - Input variable values by name
+ * @return {Object} Editor element and the recorded configuration_editor events
+ */
+function createEditor(values = {}) {
+    const element = createElement('c-ms-flow-lookup-property-editor', { is: MsFlowLookupPropertyEditor });
+    const valueChanges = [];
+    const typeMappingChanges = [];
+    element.addEventListener('configuration_editor_input_value_changed', event => valueChanges.push(event.detail));
+    element.addEventListener('configuration_editor_generic_type_mapping_changed', event => typeMappingChanges.push(event.detail));
+    element.inputVariables = Object.keys(values).map(name => ({ name, value: values[name], valueDataType: typeof values[name] }));
+    document.body.appendChild(element);
+    return { element, valueChanges, typeMappingChanges };
+}
+
+/**
+ * @description Waits for pending promises and re-renders to settle
+ * @return {Promise} Resolves on the next macrotask
+ */
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * @description Finds a base component of the editor by its name attribute
+ * @param {HTMLElement} element - Editor element
+ * @param {string} name - Name of the input or combobox
+ * @return {HTMLElement} Matching component, or undefined
+ */
+function findByName(element, name) {
+    return [...element.shadowRoot.querySelectorAll('lightning-input, lightning-combobox')].find(input => input.name === name);
+}
+
+/**
+ * @description Gets the latest value the editor sent to Flow Builder for an input variable
+ * @param {Object[]} valueChanges - Recorded configuration_editor_input_value_changed details
+ * @param {string} name - Input variable name
+ * @return {Object} Latest event detail for the variable, or undefined
+ */
+function lastValueChange(valueChanges, name) {
+    return valueChanges.filter(detail => detail.name === name).pop();
+}
+
+describe('c-ms-flow-lookup-property-editor', () => {
+    beforeEach(() => {
+        getObjectOptions.mockResolvedValue(mockObjectOptions);
+        getFieldOptions.mockResolvedValue(mockFieldOptions);
+        getRelatedFieldOptions.mockResolvedValue([]);
+        getFilterableFieldOptions.mockResolvedValue([]);
+        getCreateableFieldOptions.mockResolvedValue([]);
+        getRecordTypeOptions.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    describe('initialization', () => {
+        it('loads the objects and the fields of the configured object', async () => {
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name' });
+            await flushPromises();
+
+            expect(getObjectOptions).toHaveBeenCalledTimes(1);
+            expect(getFieldOptions).toHaveBeenCalledWith({ objectApiName: 'Account' });
+            expect(findByName(element, 'objectApiName').options).toEqual(mockObjectOptions);
+            expect(findByName(element, 'objectApiName').value).toBe('Account');
+            expect(findByName(element, 'primaryField').options.map(option => option.value)).toEqual(expect.arrayContaining(['Name', 'Industry']));
+        });
+
+        it('fills in the default object, primary field and selection mode', async () => {
+            const { valueChanges } = createEditor({});
+            await flushPromises();
+
+            expect(lastValueChange(valueChanges, 'objectApiName').newValue).toBe('Account');
+            expect(lastValueChange(valueChanges, 'primaryField').newValue).toBe('Name');
+            expect(lastValueChange(valueChanges, 'allowMultipleSelection')).toMatchObject({ newValue: false, newValueDataType: 'Boolean' });
+        });
+
+        it('falls back to common objects and fields when the describe calls fail', async () => {
+            getObjectOptions.mockRejectedValue({ body: { message: 'Describe failed' } });
+            getFieldOptions.mockRejectedValue({ body: { message: 'Describe failed' } });
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name' });
+            await flushPromises();
+
+            expect(findByName(element, 'objectApiName').options.map(option => option.value)).toContain('Contact');
+            expect(findByName(element, 'primaryField').options.map(option => option.value)).toContain('Name');
+        });
+    });
+
+    describe('configuration events', () => {
+        it('maps the generic type and resets the fields when the object changes', async () => {
+            const { element, valueChanges, typeMappingChanges } = createEditor({ objectApiName: 'Account', primaryField: 'Name', secondaryFields: 'Industry' });
+            await flushPromises();
+
+            findByName(element, 'objectApiName').dispatchEvent(new CustomEvent('change', { detail: { value: 'Contact' } }));
+            await flushPromises();
+
+            expect(typeMappingChanges[typeMappingChanges.length - 1]).toEqual({ typeName: 'T', typeValue: 'Contact' });
+            expect(getFieldOptions).toHaveBeenLastCalledWith({ objectApiName: 'Contact' });
+            expect(lastValueChange(valueChanges, 'primaryField').newValue).toBe('Name');
+            expect(lastValueChange(valueChanges, 'secondaryFields').newValue).toBe('');
+        });
+
+        it('sends the selected primary field to Flow Builder', async () => {
+            const { element, valueChanges } = createEditor({ objectApiName: 'Account', primaryField: 'Name' });
+            await flushPromises();
+
+            findByName(element, 'primaryField').dispatchEvent(new CustomEvent('change', { detail: { value: 'Industry' } }));
+
+            expect(lastValueChange(valueChanges, 'primaryField')).toMatchObject({ name: 'primaryField', newValue: 'Industry', newValueDataType: 'String' });
+        });
+
+        it('resets the display format when multiple selection is turned off', async () => {
+            const { element, valueChanges } = createEditor({ objectApiName: 'Account', primaryField: 'Name', allowMultipleSelection: true, displayFormat: 'datatable' });
+            await flushPromises();
+
+            const toggle = findByName(element, 'allowMultipleSelection');
+            toggle.checked = false;
+            toggle.dispatchEvent(new CustomEvent('change'));
+
+            expect(lastValueChange(valueChanges, 'allowMultipleSelection').newValue).toBe(false);
+            expect(lastValueChange(valueChanges, 'displayFormat').newValue).toBe('pills');
+            expect(lastValueChange(valueChanges, 'tableFields').newValue).toBe('');
+        });
+
+        it('sends search timing as numbers', async () => {
+            const { element, valueChanges } = createEditor({ objectApiName: 'Account', primaryField: 'Name' });
+            await flushPromises();
+
+            const searchDelay = findByName(element, 'searchDelay');
+            searchDelay.value = '500';
+            searchDelay.dispatchEvent(new CustomEvent('change'));
+
+            expect(lastValueChange(valueChanges, 'searchDelay')).toMatchObject({ newValue: 500, newValueDataType: 'Number' });
+        });
+    });
+
+    describe('validate', () => {
+        it('accepts a complete configuration', async () => {
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name', searchDelay: 300, minSearchLength: 3 });
+            await flushPromises();
+
+            expect(element.validate()).toEqual([]);
+        });
+
+        it('requires a primary field', async () => {
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name' });
+            await flushPromises();
+
+            findByName(element, 'primaryField').dispatchEvent(new CustomEvent('change', { detail: { value: '' } }));
+
+            expect(element.validate()).toEqual([{ key: 'primaryField', errorString: 'Primary Field is required' }]);
+        });
+
+        it('rejects search timing out of range', async () => {
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name', searchDelay: 5000, minSearchLength: 1 });
+            await flushPromises();
+
+            expect(element.validate()).toEqual([
+                { key: 'searchDelay', errorString: 'Search Delay must be a whole number of milliseconds from 0 to 2000' },
+                { key: 'minSearchLength', errorString: 'Minimum Search Characters must be a whole number from 2 to 10' }
+            ]);
+        });
+
+        it('rejects a minimum above the maximum selections', async () => {
+            const { element } = createEditor({ objectApiName: 'Account', primaryField: 'Name', allowMultipleSelection: true, minSelections: 5, maxSelections: 2 });
+            await flushPromises();
+
+            expect(element.validate().map(error => error.key)).toEqual(['minSelections']);
+        });
+    });
+});
@@ -1,6 +1,29 @@
 import { LightningElement, api, track } from 'lwc';
 import getObjectOptions from '@salesforce/apex/MsFlowLookupController.getObjectOptions';
 import getFieldOptions from '@salesforce/apex/MsFlowLookupController.getFieldOptions';
+import getRelatedFieldOptions from '@salesforce/apex/MsFlowLookupController.getRelatedFieldOptions';
+import getFilterableFieldOptions from '@salesforce/apex/MsFlowLookupController.getFilterableFieldOptions';
+import getCreateableFieldOptions from '@salesforce/apex/MsFlowLookupController.getCreateableFieldOptions';
+import getRecordTypeOptions from '@salesforce/apex/MsFlowLookupController.getRecordTypeOptions';
+
+// Flow resources can be bound to at most this many filter conditions (filterValue1..3)
+const MAX_FILTER_VARIABLES = 3;
+
+// SLDS icon names accepted for record icons, e.g. standard:account
+const ICON_NAME_PATTERN = /^(standard|custom|utility|action|doctype):[\w-]+$/;
+
+const FILTER_OPERATOR_LABELS = {
+    equals: 'Equals',
+    notEquals: 'Does Not Equal',
+    contains: 'Contains',
+    startsWith: 'Starts With',
+    lessThan: 'Less Than',
+    lessOrEqual: 'Less Than or Equal',
+    greaterThan: 'Greater Than',
+    greaterOrEqual: 'Greater Than or Equal',
+    isNull: 'Is Blank',
+    isNotNull: 'Is Not Blank'
+};
 
 /**
  * @description MS Flow Lookup Property Editor Lightning Web Component
@@ -20,13 +43,31 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
     @track inputValues = {};
     @track objectOptions = [];
     @track fieldOptions = [];
+    @track relatedFieldOptions = {}; // Field options by relationship path, e.g. Account.Owner
+    @track browsePath = ''; // Relationship path whose lookups are offered in Related Object Fields
+    @track isLoadingRelatedFields = false;
     @track isLoadingObjects = false;
     @track isLoadingFields = false;
     @track selectedObject = '';
     @track displayFormat = 'pills'; // Default display format
     @track showFieldSelectorModal = false;
     @track selectedTableFields = [];
+    @track fieldSelectorMode = 'tableFields'; // Which setting the field selector modal edits: 'tableFields', 'createFields' or 'detailFields'
+    @track createFieldOptions = [];
+    @track selectedCreateFields = [];
+    @track filterFieldOptions = [];
+    @track filterRows = [];
+    @track filterLogicType = 'AND';
+    @track defaultFilterRows = []; // Conditions of the custom default results
+    @track additionalObjectRows = [];
+    @track additionalFieldOptions = {}; // Field options by additional object API name
+    @track recordTypeOptions = [];
+    @track recordTypeIconRows = [];
     _tempSelectedTableFields = []; // Private property for temporary storage
+    _filterRowKey = 0;
+    _defaultFilterRowKey = 0;
+    _additionalObjectKey = 0;
+    _recordTypeIconRowKey = 0;
     
     // Flow Builder API properties
     
@@ -88,7 +129,7 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         if (typeMapping && typeMapping.typeValue) {
             this.selectedObject = typeMapping.typeValue;
         } else {
-            this.selectedObject = this.inputValues.objectApiName || 'Account';
+            this.selectedObject = this.objectApiNames[0] || 'Account';
         }
         
         // Initialize display format and table fields
@@ -105,6 +146,120 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         } else {
             this.selectedTableFields = [];
         }
+        
+        this.selectedCreateFields = (this.inputValues.createFields || '').split(',').map(f => f.trim()).filter(f => f);
+        
+        this.initializeFilterRows();
+        this.initializeDefaultFilterRows();
+        this.initializeAdditionalObjectRows();
+        this.initializeRecordTypeIconRows();
+    }
+    
+    /**
+     * @description Parses the saved record type icon mapping into editable rows
+     */
+    initializeRecordTypeIconRows() {
+        let mapping = {};
+        try {
+            mapping = this.inputValues.recordTypeIcons ? JSON.parse(this.inputValues.recordTypeIcons) : {};
+        } catch (error) {
+            console.error('Error parsing record type icons:', error);
+        }
+        
+        // Reuse row keys so inputs keep focus when Flow Builder echoes a change back
+        const previousRows = this.recordTypeIconRows || [];
+        const savedRows = Object.keys(mapping || {}).map(recordType => {
+            const previousRow = previousRows.find(row => row.recordType === recordType && row.iconName);
+            return {
+                key: previousRow ? previousRow.key : `record-type-icon-${this._recordTypeIconRowKey++}`,
+                recordType,
+                iconName: mapping[recordType] || ''
+            };
+        });
+        
+        // Incomplete rows are not saved yet, so keep them
+        this.recordTypeIconRows = [
+            ...savedRows,
+            ...previousRows.filter(row => !row.recordType || !row.iconName)
+        ];
+    }
+    
+    /**
+     * @description Parses saved filter conditions into editable rows
+     */
+    initializeFilterRows() {
+        let conditions = [];
+        try {
+            conditions = this.inputValues.filterConditions ? JSON.parse(this.inputValues.filterConditions) : [];
+        } catch (error) {
+            console.error('Error parsing filter conditions:', error);
+        }
+        
+        // Reuse row keys so inputs keep focus when Flow Builder echoes a change back
+        const previousRows = this.filterRows || [];
+        this.filterRows = (Array.isArray(conditions) ? conditions : []).map((condition, index) => ({
+            key: previousRows[index] ? previousRows[index].key : `filter-${this._filterRowKey++}`,
+            field: condition.field || '',
+            operator: condition.operator || 'equals',
+            valueSource: condition.valueSource || 'value',
+            value: condition.value === undefined || condition.value === null ? '' : condition.value,
+            variable: condition.variable || ''
+        }));
+        
+        const logic = this.inputValues.filterLogic || 'AND';
+        this.filterLogicType = logic === 'AND' || logic === 'OR' ? logic : 'CUSTOM';
+    }
+    
+    /**
+     * @description Parses saved default results conditions into editable rows
+     */
+    initializeDefaultFilterRows() {
+        let conditions = [];
+        try {
+            conditions = this.inputValues.defaultFilterConditions ? JSON.parse(this.inputValues.defaultFilterConditions) : [];
+        } catch (error) {
+            console.error('Error parsing default filter conditions:', error);
+        }
+        
+        const previousRows = this.defaultFilterRows || [];
+        this.defaultFilterRows = (Array.isArray(conditions) ? conditions : []).map((condition, index) => ({
+            key: previousRows[index] ? previousRows[index].key : `default-filter-${this._defaultFilterRowKey++}`,
+            field: condition.field || '',
+            operator: condition.operator || 'equals',
+            valueSource: condition.valueSource || 'value',
+            value: condition.value === undefined || condition.value === null ? '' : condition.value
+        }));
+    }
+    
+    /**
+     * @description Builds the additional object rows of a multi-object lookup
+     * Objects after the first in objectApiName are paired with their saved field mapping
+     */
+    initializeAdditionalObjectRows() {
+        let mappings = {};
+        try {
+            mappings = this.inputValues.objectFieldMappings ? JSON.parse(this.inputValues.objectFieldMappings) : {};
+        } catch (error) {
+            console.error('Error parsing object field mappings:', error);
+        }
+        
+        // Reuse row keys so inputs keep focus when Flow Builder echoes a change back
+        const previousRows = this.additionalObjectRows || [];
+        const savedRows = this.objectApiNames.slice(1).map(objectApiName => {
+            const mapping = (mappings && mappings[objectApiName]) || {};
+            const previousRow = previousRows.find(row => row.objectApiName === objectApiName);
+            return {
+                key: previousRow ? previousRow.key : `object-${this._additionalObjectKey++}`,
+                objectApiName,
+                primaryField: mapping.primaryField || 'Name',
+                secondaryField: mapping.secondaryFields || ''
+            };
+        });
+        
+        // Rows without an object are not saved yet, so keep them
+        this.additionalObjectRows = [...savedRows, ...previousRows.filter(row => !row.objectApiName)];
+        
+        this.additionalObjectRows.forEach(row => this.loadAdditionalFieldOptions(row.objectApiName));
     }
     
     /**
@@ -141,12 +296,16 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         
         // Load objects and fields
         this.loadObjectOptions();
+        this.loadFilterFieldOptions();
+        this.loadCreateFieldOptions();
+        this.loadRecordTypeOptions();
         this.loadFieldOptions().then(() => {
             // Ensure primary field is set after fields are loaded
             if (!this.inputValues.primaryField) {
                 console.log('Setting default primary field to Name');
                 this.updateInputVariable('primaryField', 'Name');
             }
+            this.loadConfiguredRelatedFieldOptions();
         });
     }
 
@@ -181,6 +340,10 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
      * Populates field dropdown options
      */
     async loadFieldOptions() {
+        // Related fields are loaded again from the new base object
+        this.relatedFieldOptions = {};
+        this.browsePath = '';
+        
         if (!this.selectedObject) {
             this.fieldOptions = [];
             return;
@@ -206,6 +369,127 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         }
     }
 
+    /**
+     * @description Loads the fields of a related object reached through a relationship path
+     * @param {string} relationshipPath - Relationship path from the selected object, e.g. Account.Owner
+     */
+    async loadRelatedFieldOptions(relationshipPath) {
+        if (!this.selectedObject || !relationshipPath || this.relatedFieldOptions[relationshipPath]) {
+            return;
+        }
+
+        this.isLoadingRelatedFields = true;
+        try {
+            const result = await getRelatedFieldOptions({
+                objectApiName: this.selectedObject,
+                relationshipPath
+            });
+            this.relatedFieldOptions = { ...this.relatedFieldOptions, [relationshipPath]: result || [] };
+            console.log('Loaded related field options for', relationshipPath, ':', (result || []).length);
+        } catch (error) {
+            console.error('Error loading related field options for', relationshipPath, ':', error);
+            this.relatedFieldOptions = { ...this.relatedFieldOptions, [relationshipPath]: [] };
+        } finally {
+            this.isLoadingRelatedFields = false;
+        }
+    }
+
+    /**
+     * @description Loads the related objects of the configured fields, so saved paths like
+     * Account.Owner.Email are listed with their labels in the field pickers
+     */
+    async loadConfiguredRelatedFieldOptions() {
+        const configuredFields = [
+            this.primaryField,
+            this.secondaryField,
+            this.tertiaryField,
+            ...this.selectedTableFields
+        ];
+        const relationshipPaths = configuredFields
+            .filter(field => field && field.includes('.') && !this.fieldOptions.some(option => option.value === field))
+            .map(field => field.substring(0, field.lastIndexOf('.')))
+            .filter((path, index, array) => array.indexOf(path) === index);
+        
+        await Promise.all(relationshipPaths.map(relationshipPath => this.loadRelatedFieldOptions(relationshipPath)));
+    }
+
+    /**
+     * @description Loads filterable fields for the selected object
+     * Populates the field dropdowns of the filter builder
+     */
+    async loadFilterFieldOptions() {
+        if (!this.selectedObject) {
+            this.filterFieldOptions = [];
+            return;
+        }
+
+        try {
+            const result = await getFilterableFieldOptions({ objectApiName: this.selectedObject });
+            this.filterFieldOptions = result || [];
+        } catch (error) {
+            console.error('Error loading filter field options:', error);
+            this.filterFieldOptions = [];
+        }
+    }
+
+    /**
+     * @description Loads the fields that can be shown in the lookup's create form
+     */
+    async loadCreateFieldOptions() {
+        if (!this.selectedObject) {
+            this.createFieldOptions = [];
+            return;
+        }
+
+        try {
+            const result = await getCreateableFieldOptions({ objectApiName: this.selectedObject });
+            this.createFieldOptions = result || [];
+        } catch (error) {
+            console.error('Error loading create field options:', error);
+            this.createFieldOptions = [];
+        }
+    }
+
+    /**
+     * @description Loads the record types of the selected object for the record type icons
+     */
+    async loadRecordTypeOptions() {
+        if (!this.selectedObject) {
+            this.recordTypeOptions = [];
+            return;
+        }
+
+        try {
+            const result = await getRecordTypeOptions({ objectApiName: this.selectedObject });
+            this.recordTypeOptions = result || [];
+        } catch (error) {
+            console.error('Error loading record type options:', error);
+            this.recordTypeOptions = [];
+        }
+    }
+
+    /**
+     * @description Loads field options for an additional object of a multi-object lookup
+     * @param {string} objectApiName - Object API name
+     */
+    async loadAdditionalFieldOptions(objectApiName) {
+        if (!objectApiName || this.additionalFieldOptions[objectApiName]) {
+            return;
+        }
+
+        try {
+            const result = await getFieldOptions({ objectApiName });
+            this.additionalFieldOptions = { ...this.additionalFieldOptions, [objectApiName]: result || [] };
+            console.log('Loaded field options for', objectApiName, ':', (result || []).length);
+        } catch (error) {
+            console.error('Error loading field options for', objectApiName, ':', error);
+            this.additionalFieldOptions = {
+                ...this.additionalFieldOptions,
+                [objectApiName]: [{ label: 'Name', value: 'Name' }]
+            };
+        }
+    }
+
     // Event Handlers
 
     /**
@@ -217,18 +501,149 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         const newValue = event.detail.value;
         console.log('Object changed to:', newValue);
         this.selectedObject = newValue;
-        this.updateInputVariable('objectApiName', newValue);
+        
+        // The primary object cannot also be an additional object
+        this.additionalObjectRows = this.additionalObjectRows.filter(row => row.objectApiName !== newValue);
+        this.saveAdditionalObjects();
         
         // Update the generic type mapping
         this.updateGenericTypeMapping(newValue);
         
         // Load new field options first
-        await this.loadFieldOptions();
+        await Promise.all([
+            this.loadFieldOptions(),
+            this.loadFilterFieldOptions(),
+            this.loadCreateFieldOptions(),
+            this.loadRecordTypeOptions()
+        ]);
         
         // Reset field selections after loading new options
         this.updateInputVariable('primaryField', 'Name');
         this.updateInputVariable('secondaryFields', '');
         this.updateInputVariable('tertiaryFields', '');
+        this.updateInputVariable('resultTemplate', '');
+        this.updateInputVariable('iconField', '');
+        this.updateInputVariable('quickFilterField', '');
+        this.updateInputVariable('externalIdField', '');
+        this.updateInputVariable('detailFields', '');
+        this.recordTypeIconRows = [];
+        this.saveRecordTypeIcons();
+        this.selectedCreateFields = [];
+        this.updateInputVariable('createFields', '');
+        
+        // Filters and the parent relationship reference fields of the previous object
+        this.updateInputVariable('parentRelationshipField', '');
+        if (this.inputValues.preselectedRecords) {
+            this.updateInputVariable('preselectedRecords', null);
+        }
+        this.filterRows = [];
+        this.filterLogicType = 'AND';
+        this.updateInputVariable('filterLogic', 'AND');
+        this.saveFilterConditions();
+        this.defaultFilterRows = [];
+        this.saveDefaultFilterConditions();
+    }
+
+    /**
+     * @description Adds an empty additional object row for a multi-object lookup
+     */
+    handleAddAdditionalObject() {
+        this.additionalObjectRows = [...this.additionalObjectRows, {
+            key: `object-${this._additionalObjectKey++}`,
+            objectApiName: '',
+            primaryField: 'Name',
+            secondaryField: ''
+        }];
+    }
+    
+    /**
+     * @description Removes an additional object row
+     * @param {Event} event - Click event from the row's delete button
+     */
+    handleRemoveAdditionalObject(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.additionalObjectRows = this.additionalObjectRows.filter((row, rowIndex) => rowIndex !== index);
+        this.saveAdditionalObjects();
+    }
+    
+    /**
+     * @description Handles additional object change, resetting its field mapping
+     * @param {Event} event - Change event from combobox
+     */
+    handleAdditionalObjectChange(event) {
+        const objectApiName = event.detail.value;
+        this.loadAdditionalFieldOptions(objectApiName);
+        this.updateAdditionalObjectRow(event.target.dataset.index, {
+            objectApiName,
+            primaryField: 'Name',
+            secondaryField: ''
+        });
+    }
+    
+    /**
+     * @description Handles primary field change of an additional object
+     * @param {Event} event - Change event from combobox
+     */
+    handleAdditionalPrimaryFieldChange(event) {
+        this.updateAdditionalObjectRow(event.target.dataset.index, { primaryField: event.detail.value });
+    }
+    
+    /**
+     * @description Handles secondary field change of an additional object
+     * @param {Event} event - Change event from combobox
+     */
+    handleAdditionalSecondaryFieldChange(event) {
+        this.updateAdditionalObjectRow(event.target.dataset.index, { secondaryField: event.detail.value || '' });
+    }
+    
+    /**
+     * @description Applies changes to an additional object row and saves the objects
+     * @param {string} index - Row index from the data-index attribute
+     * @param {Object} changes - Row properties to update
+     */
+    updateAdditionalObjectRow(index, changes) {
+        const rowIndex = Number(index);
+        this.additionalObjectRows = this.additionalObjectRows.map((row, i) => (i === rowIndex ? { ...row, ...changes } : row));
+        this.saveAdditionalObjects();
+    }
+    
+    /**
+     * @description Saves the object list and the field mappings of the additional objects
+     * The primary object stays first in objectApiName; rows without an object are not saved yet
+     */
+    saveAdditionalObjects() {
+        const rows = this.additionalObjectRows.filter(row => row.objectApiName);
+        const mappings = {};
+        rows.forEach(row => {
+            mappings[row.objectApiName] = {
+                primaryField: row.primaryField || 'Name',
+                secondaryFields: row.secondaryField || ''
+            };
+        });
+        
+        this.updateInputVariable('objectApiName', [this.selectedObject, ...rows.map(row => row.objectApiName)].join(','));
+        this.updateInputVariable('objectFieldMappings', rows.length ? JSON.stringify(mappings) : '');
+    }
+
+    /**
+     * @description Opens a related object, adding its fields to the field pickers
+     * @param {Event} event - Change event from the Related Object Fields combobox
+     */
+    async handleRelationshipBrowse(event) {
+        const relationshipPath = event.detail.value;
+        if (!relationshipPath) {
+            return;
+        }
+        await this.loadRelatedFieldOptions(relationshipPath);
+        this.browsePath = relationshipPath;
+    }
+
+    /**
+     * @description Goes back to the lookups of the previous object in the relationship path
+     */
+    handleRelationshipBrowseBack() {
+        const lastDot = this.browsePath.lastIndexOf('.');
+        this.browsePath = lastDot > 0 ? this.browsePath.substring(0, lastDot) : '';
     }
 
     /**
@@ -255,6 +670,107 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         this.updateInputVariable('tertiaryFields', event.detail.value || '');
     }
 
+    /**
+     * @description Handles result template change
+     * @param {Event} event - Change event from textarea
+     */
+    handleResultTemplateChange(event) {
+        this.updateInputVariable('resultTemplate', event.target.value || '');
+    }
+
+    /**
+     * @description Adds a field placeholder to the end of the result template
+     * @param {Event} event - Change event from the Insert Field combobox
+     */
+    handleInsertTemplateField(event) {
+        const field = event.detail.value;
+        if (!field) {
+            return;
+        }
+        const template = this.resultTemplate;
+        const separator = template && !/\s$/.test(template) ? ' ' : '';
+        this.updateInputVariable('resultTemplate', `${template}${separator}{${field}}`);
+    }
+
+    /**
+     * @description Handles icon field change
+     * @param {Event} event - Change event from combobox
+     */
+    handleIconFieldChange(event) {
+        this.updateInputVariable('iconField', event.detail.value || '');
+    }
+
+    /**
+     * @description Handles external ID field change
+     * @param {Event} event - Change event from combobox
+     */
+    handleExternalIdFieldChange(event) {
+        this.updateInputVariable('externalIdField', event.detail.value || '');
+    }
+
+    /**
+     * @description Handles quick filter field change
+     * @param {Event} event - Change event from combobox
+     */
+    handleQuickFilterFieldChange(event) {
+        this.updateInputVariable('quickFilterField', event.detail.value || '');
+    }
+
+    /**
+     * @description Adds an empty record type icon row
+     */
+    handleAddRecordTypeIcon() {
+        this.recordTypeIconRows = [...this.recordTypeIconRows, {
+            key: `record-type-icon-${this._recordTypeIconRowKey++}`,
+            recordType: '',
+            iconName: ''
+        }];
+    }
+
+    /**
+     * @description Removes a record type icon row
+     * @param {Event} event - Click event from the row's delete button
+     */
+    handleRemoveRecordTypeIcon(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.recordTypeIconRows = this.recordTypeIconRows.filter((row, rowIndex) => rowIndex !== index);
+        this.saveRecordTypeIcons();
+    }
+
+    /**
+     * @description Handles a change to a record type icon row
+     * The data-property attribute names the row property
+     * @param {Event} event - Change event from combobox or input
+     */
+    handleRecordTypeIconChange(event) {
+        const rowIndex = Number(event.target.dataset.index);
+        const property = event.target.dataset.property;
+        const value = event.detail.value === undefined ? event.target.value : event.detail.value;
+        
+        this.recordTypeIconRows = this.recordTypeIconRows.map((row, i) => (
+            i === rowIndex ? { ...row, [property]: (value || '').trim() } : row
+        ));
+        this.saveRecordTypeIcons();
+    }
+
+    /**
+     * @description Saves the complete record type icon rows as a JSON map
+     * Only dispatches when the mapping changed, so incomplete rows don't trigger an update
+     */
+    saveRecordTypeIcons() {
+        const mapping = {};
+        this.recordTypeIconRows
+            .filter(row => row.recordType && row.iconName)
+            .forEach(row => {
+                mapping[row.recordType] = row.iconName;
+            });
+        
+        const newValue = Object.keys(mapping).length ? JSON.stringify(mapping) : '';
+        if ((this.inputValues.recordTypeIcons || '') !== newValue) {
+            this.updateInputVariable('recordTypeIcons', newValue);
+        }
+    }
+
     /**
      * @description Handles multiple selection toggle change
      * @param {Event} event - Change event from checkbox
@@ -270,83 +786,535 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
             this.selectedTableFields = [];
             this.updateInputVariable('tableFields', '');
         }
+        
+        // Default selections are bound per selection mode
+        this.clearDefaultSelection();
+        
+        // Selection counts only apply to multiple selection
+        if (!isEnabled) {
+            this.updateInputVariable('minSelections', null);
+            this.updateInputVariable('maxSelections', null);
+        }
     }
     
     /**
-     * @description Handles display format change between pills and datatable
-     * @param {Event} event - Click event from button
+     * @description Handles required toggle change
+     * @param {Event} event - Change event from toggle
      */
-    handleDisplayFormatChange(event) {
-        this.displayFormat = event.target.value;
-        this.updateInputVariable('displayFormat', this.displayFormat);
+    handleRequiredChange(event) {
+        this.updateInputVariable('required', event.target.checked);
     }
     
     /**
-     * @description Opens field selector modal for datatable configuration
+     * @description Handles minimum selections change
+     * @param {Event} event - Change event from input
      */
-    handleOpenFieldSelector() {
-        // Initialize temp fields with current selection
-        this._tempSelectedTableFields = this.selectedTableFields ? [...this.selectedTableFields] : [];
-        this.showFieldSelectorModal = true;
-        console.log('Opening field selector with fields:', this._tempSelectedTableFields);
-        console.log('Available options:', this.dualListboxOptions);
+    handleMinSelectionsChange(event) {
+        this.updateInputVariable('minSelections', this.toNumberValue(event.target.value));
     }
     
     /**
-     * @description Closes field selector modal without saving
+     * @description Handles maximum selections change
+     * @param {Event} event - Change event from input
      */
-    handleCloseFieldSelector() {
-        this.showFieldSelectorModal = false;
-        this.tempSelectedTableFields = [];
+    handleMaxSelectionsChange(event) {
+        this.updateInputVariable('maxSelections', this.toNumberValue(event.target.value));
     }
     
     /**
-     * @description Handles table field selection change in modal
-     * @param {Event} event - Change event from dual listbox
+     * @description Handles custom validation error message change
+     * @param {Event} event - Change event from input
      */
-    handleTableFieldsChange(event) {
-        console.log('Table fields changed:', event.detail.value);
-        this._tempSelectedTableFields = event.detail.value || [];
+    handleCustomErrorMessageChange(event) {
+        this.updateInputVariable('customErrorMessage', event.target.value);
     }
     
     /**
-     * @description Saves field selection from modal
-     * Updates configuration with selected table fields
+     * @description Handles error diagnostics toggle change
+     * @param {Event} event - Change event from toggle
      */
-    handleSaveFieldSelection() {
-        console.log('Saving table fields:', this._tempSelectedTableFields);
-        
-        // Update selected fields
-        this.selectedTableFields = this._tempSelectedTableFields ? [...this._tempSelectedTableFields] : [];
-        
-        // Save as comma-separated string for Flow compatibility
-        const tableFieldsString = this.selectedTableFields.join(',');
-        console.log('Saving as string:', tableFieldsString);
-        
-        this.updateInputVariable('tableFields', tableFieldsString);
-        this.showFieldSelectorModal = false;
-        
-        // Force update of display format to trigger re-render
-        if (this.displayFormat === 'datatable') {
-            this.updateInputVariable('displayFormat', 'datatable');
-        }
+    handleShowDiagnosticsChange(event) {
+        this.updateInputVariable('showDiagnostics', event.target.checked);
     }
-
+    
     /**
-     * @description Handles placeholder text change
-     * @param {Event} event - Change event from input
+     * @description Converts a number input (selection counts, page size) to a number
+     * @param {string} value - Input value
+     * @return {number} Number, or null when empty
      */
-    handlePlaceholderChange(event) {
-        this.updateInputVariable('placeholder', event.target.value);
+    toNumberValue(value) {
+        return value === '' || value === null || value === undefined ? null : Number(value);
     }
     
     /**
-     * @description Handles selected records title change
-     * @param {Event} event - Change event from input
+     * @description Clears the Flow resources bound to the default selection
      */
-    handleSelectedRecordsTitleChange(event) {
-        this.updateInputVariable('selectedRecordsTitle', event.target.value);
-    }
+    clearDefaultSelection() {
+        ['recordId', 'preselectedRecordIds', 'preselectedRecords'].forEach(name => {
+            if (this.inputValues[name]) {
+                this.updateInputVariable(name, null);
+            }
+        });
+    }
+    
+    /**
+     * @description Handles default record Id resource selection (single selection)
+     * @param {Event} event - Change event from combobox
+     */
+    handleDefaultRecordIdChange(event) {
+        this.updateInputVariable('recordId', event.detail.value || null, 'reference');
+    }
+    
+    /**
+     * @description Handles preselected record Ids collection selection (multiple selection)
+     * @param {Event} event - Change event from combobox
+     */
+    handlePreselectedRecordIdsChange(event) {
+        this.updateInputVariable('preselectedRecordIds', event.detail.value || null, 'reference');
+    }
+    
+    /**
+     * @description Handles preselected record collection selection (multiple selection)
+     * @param {Event} event - Change event from combobox
+     */
+    handlePreselectedRecordsChange(event) {
+        this.updateInputVariable('preselectedRecords', event.detail.value || null, 'reference');
+    }
+    
+    /**
+     * @description Handles display format change between pills and datatable
+     * @param {Event} event - Click event from button
+     */
+    handleDisplayFormatChange(event) {
+        this.displayFormat = event.target.value;
+        this.updateInputVariable('displayFormat', this.displayFormat);
+    }
+    
+    /**
+     * @description Opens field selector modal for datatable configuration
+     */
+    handleOpenFieldSelector() {
+        this.fieldSelectorMode = 'tableFields';
+        // Initialize temp fields with current selection
+        this._tempSelectedTableFields = this.selectedTableFields ? [...this.selectedTableFields] : [];
+        this.showFieldSelectorModal = true;
+        console.log('Opening field selector with fields:', this._tempSelectedTableFields);
+        console.log('Available options:', this.dualListboxOptions);
+    }
+    
+    /**
+     * @description Opens field selector modal for the create form fields
+     * Required fields are always part of the selection
+     */
+    handleOpenCreateFieldSelector() {
+        this.fieldSelectorMode = 'createFields';
+        this._tempSelectedTableFields = [...new Set([...this.requiredCreateFields, ...this.selectedCreateFields])];
+        this.showFieldSelectorModal = true;
+        console.log('Opening create field selector with fields:', this._tempSelectedTableFields);
+    }
+    
+    /**
+     * @description Opens field selector modal for the fields of the result details panel
+     */
+    handleOpenDetailFieldSelector() {
+        this.fieldSelectorMode = 'detailFields';
+        this._tempSelectedTableFields = [...this.selectedDetailFields];
+        this.showFieldSelectorModal = true;
+        console.log('Opening details field selector with fields:', this._tempSelectedTableFields);
+    }
+    
+    /**
+     * @description Handles duplicate results warning toggle change
+     * @param {Event} event - Change event from toggle
+     */
+    handleWarnOnDuplicatesChange(event) {
+        this.updateInputVariable('warnOnDuplicates', event.target.checked);
+    }
+    
+    /**
+     * @description Closes field selector modal without saving
+     */
+    handleCloseFieldSelector() {
+        this.showFieldSelectorModal = false;
+        this.tempSelectedTableFields = [];
+    }
+    
+    /**
+     * @description Handles table field selection change in modal
+     * @param {Event} event - Change event from dual listbox
+     */
+    handleTableFieldsChange(event) {
+        console.log('Table fields changed:', event.detail.value);
+        this._tempSelectedTableFields = event.detail.value || [];
+    }
+    
+    /**
+     * @description Saves field selection from modal
+     * Updates configuration with selected table fields
+     */
+    handleSaveFieldSelection() {
+        if (this.fieldSelectorMode === 'createFields') {
+            console.log('Saving create fields:', this._tempSelectedTableFields);
+            this.selectedCreateFields = [...this._tempSelectedTableFields];
+            this.updateInputVariable('createFields', this.selectedCreateFields.join(','));
+            this.showFieldSelectorModal = false;
+            return;
+        }
+        
+        if (this.fieldSelectorMode === 'detailFields') {
+            console.log('Saving details fields:', this._tempSelectedTableFields);
+            this.updateInputVariable('detailFields', this._tempSelectedTableFields.join(','));
+            this.showFieldSelectorModal = false;
+            return;
+        }
+        
+        console.log('Saving table fields:', this._tempSelectedTableFields);
+        
+        // Update selected fields
+        this.selectedTableFields = this._tempSelectedTableFields ? [...this._tempSelectedTableFields] : [];
+        
+        // Save as comma-separated string for Flow compatibility
+        const tableFieldsString = this.selectedTableFields.join(',');
+        console.log('Saving as string:', tableFieldsString);
+        
+        this.updateInputVariable('tableFields', tableFieldsString);
+        this.showFieldSelectorModal = false;
+        
+        // Force update of display format to trigger re-render
+        if (this.displayFormat === 'datatable') {
+            this.updateInputVariable('displayFormat', 'datatable');
+        }
+    }
+
+    /**
+     * @description Handles datatable reorder toggle change
+     * @param {Event} event - Change event from toggle
+     */
+    handleAllowReorderChange(event) {
+        this.updateInputVariable('allowReorder', event.target.checked);
+    }
+
+    /**
+     * @description Handles toggle that hides the Remove row action
+     * @param {Event} event - Change event from toggle
+     */
+    handleHideRemoveActionChange(event) {
+        this.updateInputVariable('hideRemoveAction', event.target.checked);
+    }
+
+    /**
+     * @description Handles record creation toggle change
+     * @param {Event} event - Change event from toggle
+     */
+    handleAllowCreateChange(event) {
+        const isEnabled = event.target.checked;
+        this.updateInputVariable('allowCreate', isEnabled);
+        
+        if (!isEnabled) {
+            this.selectedCreateFields = [];
+            this.updateInputVariable('createFields', '');
+        }
+    }
+
+    /**
+     * @description Handles search mode change
+     * @param {Event} event - Change event from combobox
+     */
+    handleSearchModeChange(event) {
+        this.updateInputVariable('searchMode', event.detail.value);
+    }
+
+    /**
+     * @description Handles results page size change
+     * @param {Event} event - Change event from input
+     */
+    handlePageSizeChange(event) {
+        this.updateInputVariable('pageSize', this.toNumberValue(event.target.value));
+    }
+
+    /**
+     * @description Handles search delay change
+     * @param {Event} event - Change event from input
+     */
+    handleSearchDelayChange(event) {
+        this.updateInputVariable('searchDelay', this.toNumberValue(event.target.value));
+    }
+
+    /**
+     * @description Handles minimum search characters change
+     * @param {Event} event - Change event from input
+     */
+    handleMinSearchLengthChange(event) {
+        this.updateInputVariable('minSearchLength', this.toNumberValue(event.target.value));
+    }
+
+    /**
+     * @description Handles default results change (none, recent or custom)
+     * @param {Event} event - Change event from combobox
+     */
+    handleDefaultResultsChange(event) {
+        this.updateInputVariable('defaultResults', event.detail.value);
+    }
+
+    /**
+     * @description Handles the remember recently used records toggle
+     * @param {Event} event - Change event from toggle
+     */
+    handleRememberRecentlyUsedChange(event) {
+        this.updateInputVariable('rememberRecentlyUsed', event.target.checked);
+    }
+
+    /**
+     * @description Adds an empty default results condition row
+     */
+    handleAddDefaultFilterCondition() {
+        this.defaultFilterRows = [...this.defaultFilterRows, {
+            key: `default-filter-${this._defaultFilterRowKey++}`,
+            field: '',
+            operator: 'equals',
+            valueSource: 'value',
+            value: ''
+        }];
+        this.saveDefaultFilterConditions();
+    }
+
+    /**
+     * @description Removes a default results condition row
+     * @param {Event} event - Click event from the row's delete button
+     */
+    handleRemoveDefaultFilterCondition(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.defaultFilterRows = this.defaultFilterRows.filter((row, rowIndex) => rowIndex !== index);
+        this.saveDefaultFilterConditions();
+    }
+
+    /**
+     * @description Handles a change to a default results condition row
+     * The data-property attribute names the row property; a new field resets the operator and value
+     * @param {Event} event - Change event from combobox or input
+     */
+    handleDefaultFilterRowChange(event) {
+        const rowIndex = Number(event.target.dataset.index);
+        const property = event.target.dataset.property;
+        const value = event.detail.value === undefined ? event.target.value : event.detail.value;
+        
+        let changes = { [property]: value || '' };
+        if (property === 'field') {
+            const operators = this.getOperatorsForType(this.getFilterFieldType(value));
+            changes = { field: value, operator: operators[0], valueSource: 'value', value: '' };
+        } else if (property === 'valueSource') {
+            changes = { valueSource: value, value: '' };
+        }
+        
+        this.defaultFilterRows = this.defaultFilterRows.map((row, i) => (i === rowIndex ? { ...row, ...changes } : row));
+        this.saveDefaultFilterConditions();
+    }
+
+    /**
+     * @description Saves default results condition rows as JSON
+     */
+    saveDefaultFilterConditions() {
+        const conditions = this.defaultFilterRows.map(row => {
+            const condition = {
+                field: row.field,
+                operator: row.operator,
+                valueSource: row.valueSource
+            };
+            if (row.valueSource === 'value') {
+                condition.value = row.value;
+            }
+            return condition;
+        });
+        
+        const newValue = conditions.length ? JSON.stringify(conditions) : '';
+        if ((this.inputValues.defaultFilterConditions || '') !== newValue) {
+            this.updateInputVariable('defaultFilterConditions', newValue);
+        }
+    }
+
+    /**
+     * @description Handles placeholder text change
+     * @param {Event} event - Change event from input
+     */
+    handlePlaceholderChange(event) {
+        this.updateInputVariable('placeholder', event.target.value);
+    }
+    
+    /**
+     * @description Handles selected records title change
+     * @param {Event} event - Change event from input
+     */
+    handleSelectedRecordsTitleChange(event) {
+        this.updateInputVariable('selectedRecordsTitle', event.target.value);
+    }
+
+    /**
+     * @description Handles parent relationship field change for dependent lookups
+     * @param {Event} event - Change event from combobox
+     */
+    handleParentRelationshipFieldChange(event) {
+        this.updateInputVariable('parentRelationshipField', event.detail.value || '');
+    }
+    
+    /**
+     * @description Handles parent record Id resource selection for dependent lookups
+     * @param {Event} event - Change event from combobox
+     */
+    handleParentRecordIdChange(event) {
+        this.updateInputVariable('parentRecordId', event.detail.value, 'reference');
+    }
+    
+    /**
+     * @description Adds an empty filter condition row
+     */
+    handleAddFilterCondition() {
+        this.filterRows = [...this.filterRows, {
+            key: `filter-${this._filterRowKey++}`,
+            field: '',
+            operator: 'equals',
+            valueSource: 'value',
+            value: '',
+            variable: ''
+        }];
+        this.saveFilterConditions();
+    }
+    
+    /**
+     * @description Removes a filter condition row
+     * @param {Event} event - Click event from the row's delete button
+     */
+    handleRemoveFilterCondition(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.filterRows = this.filterRows.filter((row, rowIndex) => rowIndex !== index);
+        
+        // Custom logic may reference the removed condition number
+        if (this.filterLogicType === 'CUSTOM') {
+            this.filterLogicType = 'AND';
+            this.updateInputVariable('filterLogic', 'AND');
+        }
+        this.saveFilterConditions();
+    }
+    
+    /**
+     * @description Handles filter field change, resetting the operator and value
+     * @param {Event} event - Change event from combobox
+     */
+    handleFilterFieldChange(event) {
+        const field = event.detail.value;
+        const operators = this.getOperatorsForType(this.getFilterFieldType(field));
+        this.updateFilterRow(event.target.dataset.index, {
+            field,
+            operator: operators[0],
+            valueSource: 'value',
+            value: '',
+            variable: ''
+        });
+    }
+    
+    /**
+     * @description Handles filter operator change
+     * @param {Event} event - Change event from combobox
+     */
+    handleFilterOperatorChange(event) {
+        this.updateFilterRow(event.target.dataset.index, { operator: event.detail.value });
+    }
+    
+    /**
+     * @description Handles filter value source change (value, Flow resource or running user)
+     * @param {Event} event - Change event from combobox
+     */
+    handleFilterValueSourceChange(event) {
+        this.updateFilterRow(event.target.dataset.index, {
+            valueSource: event.detail.value,
+            value: '',
+            variable: ''
+        });
+    }
+    
+    /**
+     * @description Handles literal filter value change
+     * @param {Event} event - Change event from input or combobox
+     */
+    handleFilterValueChange(event) {
+        const value = event.detail.value === undefined ? event.target.value : event.detail.value;
+        this.updateFilterRow(event.target.dataset.index, { value: value || '' });
+    }
+    
+    /**
+     * @description Handles Flow resource selection for a filter value
+     * @param {Event} event - Change event from combobox
+     */
+    handleFilterVariableChange(event) {
+        this.updateFilterRow(event.target.dataset.index, { variable: event.detail.value });
+    }
+    
+    /**
+     * @description Handles the condition requirements change (AND, OR or custom logic)
+     * @param {Event} event - Change event from combobox
+     */
+    handleFilterLogicTypeChange(event) {
+        this.filterLogicType = event.detail.value;
+        const logic = this.filterLogicType === 'CUSTOM'
+            ? this.filterRows.map((row, index) => index + 1).join(' AND ')
+            : this.filterLogicType;
+        this.updateInputVariable('filterLogic', logic);
+    }
+    
+    /**
+     * @description Handles custom filter logic change
+     * @param {Event} event - Change event from input
+     */
+    handleCustomFilterLogicChange(event) {
+        this.updateInputVariable('filterLogic', event.target.value);
+    }
+    
+    /**
+     * @description Applies changes to a filter row and saves the filter
+     * @param {string} index - Row index from the data-index attribute
+     * @param {Object} changes - Row properties to update
+     */
+    updateFilterRow(index, changes) {
+        const rowIndex = Number(index);
+        this.filterRows = this.filterRows.map((row, i) => (i === rowIndex ? { ...row, ...changes } : row));
+        this.saveFilterConditions();
+    }
+    
+    /**
+     * @description Saves filter rows as JSON and binds Flow resources to the filterValue slots
+     * Each condition using a Flow resource is assigned the next free slot in row order
+     */
+    saveFilterConditions() {
+        let slot = 0;
+        const conditions = this.filterRows.map(row => {
+            const condition = {
+                field: row.field,
+                operator: row.operator,
+                valueSource: row.valueSource
+            };
+            if (row.valueSource === 'variable') {
+                slot += 1;
+                condition.variable = row.variable;
+                condition.variableSlot = slot;
+            } else if (row.valueSource === 'value') {
+                condition.value = row.value;
+            }
+            return condition;
+        });
+        
+        this.updateInputVariable('filterConditions', conditions.length ? JSON.stringify(conditions) : '');
+        
+        for (let i = 1; i <= MAX_FILTER_VARIABLES; i++) {
+            const name = `filterValue${i}`;
+            const boundCondition = conditions.find(condition => condition.variableSlot === i);
+            if (boundCondition && boundCondition.variable) {
+                if (this.inputValues[name] !== boundCondition.variable) {
+                    this.updateInputVariable(name, boundCondition.variable, 'reference');
+                }
+            } else if (this.inputValues[name]) {
+                this.updateInputVariable(name, null);
+            }
+        }
+    }
 
     /**
      * @description Validates component configuration
@@ -374,28 +1342,174 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
             });
         }
         
+        this.filterRows.forEach((row, index) => {
+            const needsValue = row.operator !== 'isNull' && row.operator !== 'isNotNull';
+            if (!row.field || !row.operator || (needsValue && row.valueSource === 'variable' && !row.variable)) {
+                validity.push({
+                    key: 'filterConditions',
+                    errorString: `Filter condition ${index + 1} is incomplete`
+                });
+            }
+        });
+        
+        if (this.inputValues.parentRelationshipField && !this.inputValues.parentRecordId) {
+            validity.push({
+                key: 'parentRecordId',
+                errorString: 'Parent Record ID is required when a Parent Relationship Field is selected'
+            });
+        }
+        
+        const minSelections = this.toNumberValue(this.inputValues.minSelections);
+        const maxSelections = this.toNumberValue(this.inputValues.maxSelections);
+        if (minSelections !== null && (!Number.isInteger(minSelections) || minSelections < 0)) {
+            validity.push({
+                key: 'minSelections',
+                errorString: 'Minimum Selections must be a whole number of 0 or more'
+            });
+        }
+        if (maxSelections !== null && (!Number.isInteger(maxSelections) || maxSelections < 1)) {
+            validity.push({
+                key: 'maxSelections',
+                errorString: 'Maximum Selections must be a whole number of 1 or more'
+            });
+        }
+        if (minSelections !== null && maxSelections !== null && minSelections > maxSelections) {
+            validity.push({
+                key: 'minSelections',
+                errorString: 'Minimum Selections cannot be greater than Maximum Selections'
+            });
+        }
+        
+        if (this.defaultResults === 'custom') {
+            this.defaultFilterRows.forEach((row, index) => {
+                if (!row.field || !row.operator) {
+                    validity.push({
+                        key: 'defaultFilterConditions',
+                        errorString: `Default results condition ${index + 1} is incomplete`
+                    });
+                }
+            });
+        }
+        
+        if (!this.isValidResultTemplate(this.resultTemplate)) {
+            validity.push({
+                key: 'resultTemplate',
+                errorString: 'Result Template fields must be written as {FieldName}, e.g. {Name} — {Industry}'
+            });
+        }
+        
+        this.recordTypeIconRows.forEach((row, index) => {
+            if (!row.recordType || !ICON_NAME_PATTERN.test(row.iconName)) {
+                validity.push({
+                    key: 'recordTypeIcons',
+                    errorString: `Record type icon ${index + 1} needs a record type and an icon name such as standard:account`
+                });
+            }
+        });
+        
+        const pageSize = this.toNumberValue(this.inputValues.pageSize);
+        if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50)) {
+            validity.push({
+                key: 'pageSize',
+                errorString: 'Results Page Size must be a whole number from 1 to 50'
+            });
+        }
+        
+        const searchDelay = this.toNumberValue(this.inputValues.searchDelay);
+        if (searchDelay !== null && (!Number.isInteger(searchDelay) || searchDelay < 0 || searchDelay > 2000)) {
+            validity.push({
+                key: 'searchDelay',
+                errorString: 'Search Delay must be a whole number of milliseconds from 0 to 2000'
+            });
+        }
+        
+        const minSearchLength = this.toNumberValue(this.inputValues.minSearchLength);
+        if (minSearchLength !== null && (!Number.isInteger(minSearchLength) || minSearchLength < 2 || minSearchLength > 10)) {
+            validity.push({
+                key: 'minSearchLength',
+                errorString: 'Minimum Search Characters must be a whole number from 2 to 10'
+            });
+        }
+        
+        this.additionalObjectRows.forEach((row, index) => {
+            if (!row.objectApiName || !row.primaryField) {
+                validity.push({
+                    key: 'objectApiName',
+                    errorString: `Additional object ${index + 1} is incomplete`
+                });
+            }
+        });
+        
+        if (this.filterLogicType === 'CUSTOM' && !this.isValidFilterLogic(this.inputValues.filterLogic)) {
+            validity.push({
+                key: 'filterLogic',
+                errorString: 'Filter logic may only use condition numbers, AND, OR, NOT and parentheses'
+            });
+        }
+        
         console.log('FlowLookupPropertyEditor: validation result:', validity);
         return validity;
     }
 
+    /**
+     * @description Checks that every brace of the result template belongs to a {FieldName} placeholder
+     * @param {string} template - Result template
+     * @return {boolean} True if the template is empty or well formed
+     */
+    isValidResultTemplate(template) {
+        if (!template) return true;
+        const withoutPlaceholders = template.replace(/\{\s*[\w.]+\s*\}/g, '');
+        return !/[{}]/.test(withoutPlaceholders);
+    }
+
+    /**
+     * @description Checks custom filter logic against the current filter conditions
+     * Apex performs the full validation when the lookup runs
+     * @param {string} logic - Custom filter logic
+     * @return {boolean} True if logic only references existing conditions with balanced parentheses
+     */
+    isValidFilterLogic(logic) {
+        if (!logic || !logic.trim()) return false;
+        
+        const tokens = logic.toUpperCase().replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').trim().split(/\s+/);
+        let depth = 0;
+        
+        for (const token of tokens) {
+            if (token === '(') {
+                depth++;
+            } else if (token === ')') {
+                depth--;
+                if (depth < 0) return false;
+            } else if (/^\d+$/.test(token)) {
+                const number = Number(token);
+                if (number < 1 || number > this.filterRows.length) return false;
+            } else if (!['AND', 'OR', 'NOT'].includes(token)) {
+                return false;
+            }
+        }
+        
+        return depth === 0;
+    }
+
     /**
      * @description Updates input variable and dispatches change event to Flow Builder
      * @param {string} name - Variable name
      * @param {*} value - New value
+     * @param {string} dataType - Flow data type; derived from the value when omitted
      */
-    updateInputVariable(name, value) {
+    updateInputVariable(name, value, dataType) {
         console.log('CPE: Updating variable:', name, '=', value, 'Type:', typeof value);
         
         this.inputValues[name] = value;
         
-        const dataType = this.getDataType(value);
+        const newValueDataType = dataType || this.getDataType(value);
         const valueChangedEvent = new CustomEvent('configuration_editor_input_value_changed', {
             bubbles: true,
             composed: true,
             detail: {
                 name: name,
                 newValue: value,
-                newValueDataType: dataType
+                newValueDataType: newValueDataType
             }
         });
         
@@ -439,13 +1553,58 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
 
     /**
      * @description Gets current object API name
-     * @return {string} Object API name
+     * @return {string} API name of the primary object
      */
     get objectApiName() {
-        const value = this.inputValues.objectApiName || 'Account';
+        const value = this.objectApiNames[0] || 'Account';
         console.log('Getting objectApiName:', value);
         return value;
     }
+    
+    /**
+     * @description Parses the configured object list of a multi-object lookup
+     * @return {Array} Array of object API names, primary object first
+     */
+    get objectApiNames() {
+        return (this.inputValues.objectApiName || '')
+            .split(',')
+            .map(objectApiName => objectApiName.trim())
+            .filter(objectApiName => objectApiName);
+    }
+    
+    /**
+     * @description Determines if any additional objects are configured
+     * @return {boolean} True if the lookup searches more than one object
+     */
+    get hasAdditionalObjects() {
+        return this.additionalObjectRows.length > 0;
+    }
+    
+    /**
+     * @description Decorates additional object rows with the options used by the template
+     * Objects already used by the lookup are not offered again
+     * @return {Array} Additional object rows for rendering
+     */
+    get additionalObjectRowViews() {
+        const noneOption = { label: '-- None --', value: '' };
+        
+        return this.additionalObjectRows.map((row, index) => {
+            const usedObjects = [
+                this.selectedObject,
+                ...this.additionalObjectRows.filter((other, otherIndex) => otherIndex !== index).map(other => other.objectApiName)
+            ];
+            const fieldOptions = this.additionalFieldOptions[row.objectApiName] || [];
+            
+            return {
+                ...row,
+                index,
+                objectOptions: this.objectOptions.filter(option => !usedObjects.includes(option.value)),
+                primaryFieldOptions: fieldOptions,
+                secondaryFieldOptions: [noneOption, ...fieldOptions.filter(field => field.value !== row.primaryField)],
+                showFieldMapping: !!row.objectApiName
+            };
+        });
+    }
 
     /**
      * @description Gets current primary field
@@ -476,50 +1635,178 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         console.log('Getting tertiaryField:', value);
         return value;
     }
-
+
+    /**
+     * @description Gets secondary fields as array (backward compatibility)
+     * @return {Array} Array of secondary field names
+     */
+    get secondaryFields() {
+        // Keep this for backward compatibility with main component
+        const field = this.inputValues.secondaryFields || '';
+        return field ? [field] : [];
+    }
+
+    /**
+     * @description Gets tertiary fields as array (backward compatibility)
+     * @return {Array} Array of tertiary field names
+     */
+    get tertiaryFields() {
+        // Keep this for backward compatibility with main component
+        const field = this.inputValues.tertiaryFields || '';
+        return field ? [field] : [];
+    }
+    
+    /**
+     * @description Gets table fields as array
+     * @return {Array} Array of selected table field names
+     */
+    get tableFields() {
+        // Return the selected fields as an array for the template
+        return this.selectedTableFields || [];
+    }
+
+    /**
+     * @description Gets multiple selection setting
+     * @return {boolean} True if multiple selection is enabled
+     */
+    get allowMultipleSelection() {
+        return this.inputValues.allowMultipleSelection || false;
+    }
+
+    /**
+     * @description Gets required setting
+     * @return {boolean} True if a selection is required
+     */
+    get required() {
+        return this.inputValues.required || false;
+    }
+    
+    /**
+     * @description Gets minimum number of selections
+     * @return {number} Minimum selections, or empty when not set
+     */
+    get minSelections() {
+        return this.inputValues.minSelections ?? '';
+    }
+    
+    /**
+     * @description Gets maximum number of selections
+     * @return {number} Maximum selections, or empty when not set
+     */
+    get maxSelections() {
+        return this.inputValues.maxSelections ?? '';
+    }
+    
+    /**
+     * @description Gets custom validation error message
+     * @return {string} Error message
+     */
+    get customErrorMessage() {
+        return this.inputValues.customErrorMessage || '';
+    }
+    
+    /**
+     * @description Gets error diagnostics setting
+     * @return {boolean} True if search errors show their technical details outside debug runs too
+     */
+    get showDiagnostics() {
+        return this.inputValues.showDiagnostics || false;
+    }
+    
+    /**
+     * @description Gets placeholder text
+     * @return {string} Placeholder text
+     */
+    get placeholder() {
+        return this.inputValues.placeholder || 'Search...';
+    }
+    
+    /**
+     * @description Gets search mode
+     * @return {string} Search mode
+     */
+    get searchMode() {
+        return this.inputValues.searchMode || 'soql';
+    }
+    
+    /**
+     * @description Gets number of search results loaded per page
+     * @return {number} Page size, or empty when the default is used
+     */
+    get pageSize() {
+        return this.inputValues.pageSize ?? '';
+    }
+    
+    /**
+     * @description Gets the pause in typing before the search runs
+     * @return {number} Delay in ms, or empty when the default is used
+     */
+    get searchDelay() {
+        return this.inputValues.searchDelay ?? '';
+    }
+    
+    /**
+     * @description Gets the number of characters to type before the search runs
+     * @return {number} Minimum search characters, or empty when the default is used
+     */
+    get minSearchLength() {
+        return this.inputValues.minSearchLength ?? '';
+    }
+    
+    /**
+     * @description Gets the default results mode
+     * @return {string} 'none', 'recent' or 'custom'
+     */
+    get defaultResults() {
+        return this.inputValues.defaultResults || 'recent';
+    }
+    
     /**
-     * @description Gets secondary fields as array (backward compatibility)
-     * @return {Array} Array of secondary field names
+     * @description Gets options for the default results dropdown
+     * @return {Array} Default results options
      */
-    get secondaryFields() {
-        // Keep this for backward compatibility with main component
-        const field = this.inputValues.secondaryFields || '';
-        return field ? [field] : [];
+    get defaultResultsOptions() {
+        return [
+            { label: 'Recently Viewed Records', value: 'recent' },
+            { label: 'Custom Filter', value: 'custom' },
+            { label: 'None (wait for the user to type)', value: 'none' }
+        ];
     }
-
+    
     /**
-     * @description Gets tertiary fields as array (backward compatibility)
-     * @return {Array} Array of tertiary field names
+     * @description Gets whether recently used records are remembered
+     * @return {boolean} True if enabled
      */
-    get tertiaryFields() {
-        // Keep this for backward compatibility with main component
-        const field = this.inputValues.tertiaryFields || '';
-        return field ? [field] : [];
+    get rememberRecentlyUsed() {
+        return this.inputValues.rememberRecentlyUsed || false;
     }
     
     /**
-     * @description Gets table fields as array
-     * @return {Array} Array of selected table field names
+     * @description Determines if the remember recently used toggle should be shown
+     * @return {boolean} True for recent default results
      */
-    get tableFields() {
-        // Return the selected fields as an array for the template
-        return this.selectedTableFields || [];
+    get showRememberRecentlyUsed() {
+        return this.defaultResults === 'recent';
     }
-
+    
     /**
-     * @description Gets multiple selection setting
-     * @return {boolean} True if multiple selection is enabled
+     * @description Determines if the default results conditions should be shown
+     * @return {boolean} True for custom default results
      */
-    get allowMultipleSelection() {
-        return this.inputValues.allowMultipleSelection || false;
+    get showDefaultFilter() {
+        return this.defaultResults === 'custom';
     }
-
+    
     /**
-     * @description Gets placeholder text
-     * @return {string} Placeholder text
+     * @description Gets options for the search mode dropdown
+     * @return {Array} Search mode options
      */
-    get placeholder() {
-        return this.inputValues.placeholder || 'Search...';
+    get searchModeOptions() {
+        return [
+            { label: 'Contains Match (SOQL)', value: 'soql' },
+            { label: 'Search Index - Name Fields (SOSL)', value: 'soslName' },
+            { label: 'Search Index - All Fields (SOSL)', value: 'soslAll' }
+        ];
     }
     
     /**
@@ -535,7 +1822,7 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
      * @return {Array} Field options for primary field dropdown
      */
     get primaryFieldOptions() {
-        return this.fieldOptions;
+        return this.allFieldOptions;
     }
 
     /**
@@ -544,7 +1831,7 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
      */
     get secondaryFieldOptions() {
         const options = [{ label: '-- None --', value: '' }];
-        const filteredOptions = this.fieldOptions.filter(field => 
+        const filteredOptions = this.allFieldOptions.filter(field => 
             field.value !== this.primaryField && 
             field.value !== this.tertiaryField
         );
@@ -557,13 +1844,162 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
      */
     get tertiaryFieldOptions() {
         const options = [{ label: '-- None --', value: '' }];
-        const filteredOptions = this.fieldOptions.filter(field => 
+        const filteredOptions = this.allFieldOptions.filter(field => 
             field.value !== this.primaryField && 
             field.value !== this.secondaryField
         );
         return [...options, ...filteredOptions];
     }
     
+    /**
+     * @description Gets the fields of the selected object followed by the fields of the opened related objects
+     * @return {Array} Field options for the field pickers
+     */
+    get allFieldOptions() {
+        const relatedOptions = Object.keys(this.relatedFieldOptions)
+            .sort()
+            .flatMap(relationshipPath => this.relatedFieldOptions[relationshipPath]);
+        return [...this.fieldOptions, ...relatedOptions]
+            .filter((field, index, array) => array.findIndex(other => other.value === field.value) === index);
+    }
+    
+    /**
+     * @description Gets the related objects that can be opened from the object being browsed
+     * @return {Array} Relationship options with label and relationship path value
+     */
+    get relationshipOptions() {
+        const options = this.browsePath ? this.relatedFieldOptions[this.browsePath] || [] : this.fieldOptions;
+        return options
+            .filter(field => field.relationshipPath)
+            .filter((field, index, array) => array.findIndex(other => other.relationshipPath === field.relationshipPath) === index)
+            .map(field => ({ label: field.relationshipPathLabel, value: field.relationshipPath }));
+    }
+    
+    /**
+     * @description Gets the placeholder of the Related Object Fields combobox
+     * @return {string} Placeholder naming the object being browsed
+     */
+    get relationshipPlaceholder() {
+        return this.browsePath
+            ? `Open a lookup of ${this.browsePathLabel}...`
+            : 'Open a related object...';
+    }
+    
+    /**
+     * @description Gets the label of the related object being browsed
+     * @return {string} Relationship labels, e.g. Account > Owner
+     */
+    get browsePathLabel() {
+        const option = this.allFieldOptions.find(field => field.relationshipPath === this.browsePath);
+        return option ? option.relationshipPathLabel : this.browsePath;
+    }
+    
+    /**
+     * @description Gets the result template
+     * @return {string} Template with one line per row, or empty to use the primary and secondary fields
+     */
+    get resultTemplate() {
+        return this.inputValues.resultTemplate || '';
+    }
+    
+    /**
+     * @description Gets the example shown in the empty Result Template box
+     * @return {string} Example template (braces can't be written in a template attribute)
+     */
+    get resultTemplatePlaceholder() {
+        return '{Name} — {Industry}';
+    }
+    
+    /**
+     * @description Gets the fields that can be added to the result template
+     * @return {Array} Display and filterable field options, including opened related objects
+     */
+    get templateFieldOptions() {
+        return this.dualListboxOptions;
+    }
+    
+    /**
+     * @description Gets the icon field
+     * @return {string} Field API name, or empty for the object icon
+     */
+    get iconField() {
+        return this.inputValues.iconField || '';
+    }
+    
+    /**
+     * @description Gets the fields that can hold record icon names
+     * @return {Array} Text field options with a None option
+     */
+    get iconFieldOptions() {
+        return [
+            { label: '-- None --', value: '' },
+            ...this.allFieldOptions.filter(field => !field.relationshipField && !field.relationshipPath)
+        ];
+    }
+    
+    /**
+     * @description Gets the external ID field that pasted values are matched against
+     * @return {string} Field API name, or empty to match on Id and the primary field only
+     */
+    get externalIdField() {
+        return this.inputValues.externalIdField || '';
+    }
+    
+    /**
+     * @description Gets the fields that pasted values can be matched against
+     * @return {Array} Text external ID field options with a None option
+     */
+    get externalIdFieldOptions() {
+        const textTypes = ['string', 'email', 'phone', 'url'];
+        return [
+            { label: '-- None --', value: '' },
+            ...this.filterFieldOptions.filter(field => field.externalId === 'true' && textTypes.includes(field.type))
+        ];
+    }
+    
+    /**
+     * @description Gets the quick filter field
+     * @return {string} Field API name, or empty for no quick filters
+     */
+    get quickFilterField() {
+        return this.inputValues.quickFilterField || '';
+    }
+    
+    /**
+     * @description Gets the fields that can drive the quick filters
+     * @return {Array} Record Type, when the object has record types, and picklist field options with a None option
+     */
+    get quickFilterFieldOptions() {
+        const options = [{ label: '-- None --', value: '' }];
+        if (this.recordTypeOptions.length > 0) {
+            options.push({ label: 'Record Type', value: 'RecordTypeId' });
+        }
+        return [
+            ...options,
+            ...this.filterFieldOptions.filter(field => field.type === 'picklist')
+        ];
+    }
+    
+    /**
+     * @description Determines if record type icons can be configured
+     * @return {boolean} True if the object has record types
+     */
+    get showRecordTypeIcons() {
+        return this.recordTypeOptions.length > 0;
+    }
+    
+    /**
+     * @description Gets the record type icon rows with their display numbers
+     * @return {Array} Rows for the template
+     */
+    get recordTypeIconRowViews() {
+        return this.recordTypeIconRows.map((row, index) => ({
+            ...row,
+            index,
+            number: index + 1
+        }));
+    }
+    
     /**
      * @description Determines if field configuration should be shown
      * @return {boolean} True if object is selected
@@ -580,6 +2016,134 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
         return this.selectedTableFields.join(', ');
     }
     
+    /**
+     * @description Gets datatable reorder setting
+     * @return {boolean} True if users can reorder the datatable rows
+     */
+    get allowReorder() {
+        return this.inputValues.allowReorder || false;
+    }
+    
+    /**
+     * @description Gets the setting that hides the Remove row action
+     * @return {boolean} True if the datatable rows have no Remove action
+     */
+    get hideRemoveAction() {
+        return this.inputValues.hideRemoveAction || false;
+    }
+    
+    /**
+     * @description Gets record creation setting
+     * @return {boolean} True if the "New {Object}" item is enabled
+     */
+    get allowCreate() {
+        return this.inputValues.allowCreate || false;
+    }
+    
+    /**
+     * @description Gets display text for selected create form fields
+     * @return {string} Comma-separated field names, or a note that the page layout is used
+     */
+    get createFieldsDisplay() {
+        return this.selectedCreateFields.length ? this.selectedCreateFields.join(', ') : 'Page layout fields';
+    }
+    
+    /**
+     * @description Gets the fields of the result details panel
+     * @return {Array} Field API names or relationship paths
+     */
+    get selectedDetailFields() {
+        return (this.inputValues.detailFields || '').split(',').map(field => field.trim()).filter(field => field);
+    }
+    
+    /**
+     * @description Gets display text for the details panel fields
+     * @return {string} Comma-separated field names, or a note that no panel is shown
+     */
+    get detailFieldsDisplay() {
+        return this.selectedDetailFields.length ? this.selectedDetailFields.join(', ') : 'No details panel';
+    }
+    
+    /**
+     * @description Gets duplicate results warning setting
+     * @return {boolean} True if results with the same primary value are flagged
+     */
+    get warnOnDuplicates() {
+        return this.inputValues.warnOnDuplicates || false;
+    }
+    
+    /**
+     * @description Gets the fields that must be part of the create form
+     * @return {Array} Required field API names
+     */
+    get requiredCreateFields() {
+        return this.createFieldOptions.filter(field => field.required === 'true').map(field => field.value);
+    }
+    
+    /**
+     * @description Gets title of the field selector modal
+     * @return {string} Modal title
+     */
+    get fieldSelectorTitle() {
+        switch (this.fieldSelectorMode) {
+            case 'createFields':
+                return 'Select Create Form Fields';
+            case 'detailFields':
+                return 'Select Details Fields';
+            default:
+                return 'Select Table Fields';
+        }
+    }
+    
+    /**
+     * @description Gets label of the dual listbox in the field selector modal
+     * @return {string} Dual listbox label
+     */
+    get fieldSelectorLabel() {
+        switch (this.fieldSelectorMode) {
+            case 'createFields':
+                return 'Select fields to show when creating a record';
+            case 'detailFields':
+                return 'Select fields to show in the details of a result';
+            default:
+                return 'Select fields to display in the table';
+        }
+    }
+    
+    /**
+     * @description Gets help text of the dual listbox in the field selector modal
+     * @return {string} Help text
+     */
+    get fieldSelectorHelp() {
+        switch (this.fieldSelectorMode) {
+            case 'createFields':
+                return 'Choose the fields of the New record form. Required fields cannot be removed. Leave empty to use the page layout.';
+            case 'detailFields':
+                return 'Choose the fields shown next to the results when users highlight one, to tell similar records apart';
+            default:
+                return 'Choose which fields to display as columns in the datatable';
+        }
+    }
+    
+    /**
+     * @description Gets options of the dual listbox in the field selector modal
+     * @return {Array} Field options for the setting being edited
+     */
+    get fieldSelectorOptions() {
+        if (this.fieldSelectorMode === 'createFields') {
+            return this.createFieldOptions.map(field => ({ label: field.label, value: field.value }));
+        }
+        return this.dualListboxOptions;
+    }
+    
+    /**
+     * @description Gets options that cannot be removed in the field selector modal
+     * @return {Array} Required field API names for the create form, none for the table
+     */
+    get fieldSelectorRequiredOptions() {
+        return this.fieldSelectorMode === 'createFields' ? this.requiredCreateFields : [];
+    }
+    
     /**
      * @description Gets button variant for pills display format
      * @return {string} Button variant (brand or neutral)
@@ -609,10 +2173,315 @@ export default class MsFlowLookupPropertyEditor extends LightningElement {
      * @return {Array} Field options formatted for dual listbox
      */
     get dualListboxOptions() {
-        return this.fieldOptions.map(field => ({
-            label: field.label,
-            value: field.value
-        }));
+        // Number, date, currency and checkbox fields only come with the filterable fields
+        const options = [...this.allFieldOptions, ...this.filterFieldOptions]
+            .filter((field, index, array) => array.findIndex(other => other.value === field.value) === index)
+            .map(field => ({
+                label: field.label,
+                value: field.value
+            }));
+        return options.sort((a, b) => a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * @description Determines if any filter conditions are configured
+     * @return {boolean} True if the filter builder has rows
+     */
+    get hasFilterConditions() {
+        return this.filterRows.length > 0;
+    }
+    
+    /**
+     * @description Determines if the custom filter logic input should be shown
+     * @return {boolean} True if custom logic is selected
+     */
+    get showCustomFilterLogic() {
+        return this.filterLogicType === 'CUSTOM';
+    }
+    
+    /**
+     * @description Gets current custom filter logic
+     * @return {string} Filter logic expression
+     */
+    get customFilterLogic() {
+        return this.inputValues.filterLogic || '';
+    }
+    
+    /**
+     * @description Gets options for the condition requirements dropdown
+     * @return {Array} Filter logic options
+     */
+    get filterLogicOptions() {
+        return [
+            { label: 'All Conditions Are Met (AND)', value: 'AND' },
+            { label: 'Any Condition Is Met (OR)', value: 'OR' },
+            { label: 'Custom Condition Logic Is Met', value: 'CUSTOM' }
+        ];
+    }
+    
+    /**
+     * @description Gets Flow resources that can supply a filter value
+     * @return {Array} Variable, constant and formula options from the builder context
+     */
+    get flowResourceOptions() {
+        const context = this._builderContext || {};
+        const variables = (context.variables || []).filter(variable => !variable.isCollection);
+        return [...variables, ...(context.constants || []), ...(context.formulas || [])]
+            .map(resource => ({ label: resource.name, value: resource.name }));
+    }
+    
+    /**
+     * @description Gets the Flow resource bound to the default record Id
+     * @return {string} Resource reference
+     */
+    get defaultRecordId() {
+        return this.inputValues.recordId || '';
+    }
+    
+    /**
+     * @description Gets the Flow resource bound to the preselected record Ids
+     * @return {string} Resource reference
+     */
+    get preselectedRecordIds() {
+        return this.inputValues.preselectedRecordIds || '';
+    }
+    
+    /**
+     * @description Gets the Flow resource bound to the preselected records
+     * @return {string} Resource reference
+     */
+    get preselectedRecords() {
+        return this.inputValues.preselectedRecords || '';
+    }
+    
+    /**
+     * @description Gets text collection variables that can supply preselected record Ids
+     * @return {Array} Variable options from the builder context
+     */
+    get idCollectionOptions() {
+        const options = [{ label: '-- None --', value: '' }];
+        const variables = ((this._builderContext || {}).variables || [])
+            .filter(variable => variable.isCollection && variable.dataType === 'String')
+            .map(variable => ({ label: variable.name, value: variable.name }));
+        return [...options, ...variables];
+    }
+    
+    /**
+     * @description Gets record collection variables of the selected object
+     * @return {Array} Variable options from the builder context
+     */
+    get recordCollectionOptions() {
+        const options = [{ label: '-- None --', value: '' }];
+        const variables = ((this._builderContext || {}).variables || [])
+            .filter(variable => variable.isCollection && variable.dataType === 'SObject' && variable.objectType === this.selectedObject)
+            .map(variable => ({ label: variable.name, value: variable.name }));
+        return [...options, ...variables];
+    }
+    
+    /**
+     * @description Gets resources that can supply the default record Id
+     * @return {Array} Resource options
+     */
+    get defaultRecordIdOptions() {
+        return [{ label: '-- None --', value: '' }, ...this.flowResourceOptions];
+    }
+    
+    /**
+     * @description Gets current parent relationship field
+     * @return {string} Lookup field API name
+     */
+    get parentRelationshipField() {
+        return this.inputValues.parentRelationshipField || '';
+    }
+    
+    /**
+     * @description Gets the Flow resource bound to the parent record Id
+     * @return {string} Resource reference
+     */
+    get parentRecordId() {
+        return this.inputValues.parentRecordId || '';
+    }
+    
+    /**
+     * @description Gets the lookup fields that can relate records to a parent
+     * @return {Array} Relationship field options from getFieldOptions
+     */
+    get parentRelationshipFieldOptions() {
+        const options = [{ label: '-- None --', value: '' }];
+        const relationshipOptions = this.fieldOptions
+            .filter(field => field.relationshipField)
+            .map(field => ({
+                label: `${field.relationshipLabel} (${field.relationshipField})`,
+                value: field.relationshipField
+            }));
+        return [...options, ...relationshipOptions];
+    }
+    
+    /**
+     * @description Determines if the parent record Id picker should be shown
+     * @return {boolean} True if a parent relationship field is selected
+     */
+    get showParentRecordId() {
+        return !!this.parentRelationshipField;
+    }
+    
+    /**
+     * @description Gets resources that can supply the parent record Id
+     * Includes the selected record Id of other MS Flow Lookups on the flow's screens
+     * @return {Array} Resource options
+     */
+    get parentRecordIdOptions() {
+        const lookupOutputs = [];
+        const collectLookups = fields => {
+            (fields || []).forEach(field => {
+                if (field.extensionName === 'c:msFlowLookupLWC') {
+                    lookupOutputs.push({
+                        label: `${field.name} > Selected Record ID`,
+                        value: `${field.name}.recordId`
+                    });
+                }
+                // Section columns nest their own fields
+                collectLookups(field.fields);
+            });
+        };
+        ((this._builderContext || {}).screens || []).forEach(screen => collectLookups(screen.fields));
+        
+        return [...lookupOutputs, ...this.flowResourceOptions];
+    }
+    
+    /**
+     * @description Decorates filter rows with the options and flags used by the template
+     * @return {Array} Filter rows for rendering
+     */
+    get filterRowViews() {
+        const usedVariableSlots = this.filterRows.filter(row => row.valueSource === 'variable').length;
+        
+        return this.filterRows.map((row, index) => {
+            const fieldType = this.getFilterFieldType(row.field);
+            const hasValue = row.operator !== 'isNull' && row.operator !== 'isNotNull';
+            
+            const valueSourceOptions = [{ label: 'Value', value: 'value' }];
+            if (row.valueSource === 'variable' || usedVariableSlots < MAX_FILTER_VARIABLES) {
+                valueSourceOptions.push({ label: 'Flow Resource', value: 'variable' });
+            }
+            if (fieldType === 'reference' || fieldType === 'id') {
+                valueSourceOptions.push({ label: 'Running User', value: 'currentUser' });
+            }
+            
+            return {
+                ...row,
+                index,
+                number: index + 1,
+                operatorOptions: this.getOperatorsForType(fieldType)
+                    .map(operator => ({ label: FILTER_OPERATOR_LABELS[operator], value: operator })),
+                valueSourceOptions,
+                showValueSource: hasValue,
+                showValueInput: hasValue && row.valueSource === 'value' && fieldType !== 'boolean',
+                showBooleanValue: hasValue && row.valueSource === 'value' && fieldType === 'boolean',
+                showResourcePicker: hasValue && row.valueSource === 'variable',
+                valueInputType: this.getInputTypeForField(fieldType)
+            };
+        });
+    }
+    
+    /**
+     * @description Decorates default results condition rows with the options and flags used by the template
+     * Default results conditions take a value or the running user; Flow resources are only available in Record Filters
+     * @return {Array} Default results condition rows for rendering
+     */
+    get defaultFilterRowViews() {
+        return this.defaultFilterRows.map((row, index) => {
+            const fieldType = this.getFilterFieldType(row.field);
+            const hasValue = row.operator !== 'isNull' && row.operator !== 'isNotNull';
+            const isLookup = fieldType === 'reference' || fieldType === 'id';
+            
+            const valueSourceOptions = [{ label: 'Value', value: 'value' }];
+            if (isLookup) {
+                valueSourceOptions.push({ label: 'Running User', value: 'currentUser' });
+            }
+            
+            return {
+                ...row,
+                index,
+                number: index + 1,
+                operatorOptions: this.getOperatorsForType(fieldType)
+                    .map(operator => ({ label: FILTER_OPERATOR_LABELS[operator], value: operator })),
+                valueSourceOptions,
+                showValueSource: hasValue && isLookup,
+                showValueInput: hasValue && row.valueSource === 'value' && fieldType !== 'boolean',
+                showBooleanValue: hasValue && row.valueSource === 'value' && fieldType === 'boolean',
+                valueInputType: this.getInputTypeForField(fieldType)
+            };
+        });
+    }
+    
+    /**
+     * @description Gets options for boolean filter values
+     * @return {Array} True/False options
+     */
+    get booleanValueOptions() {
+        return [
+            { label: 'True', value: 'true' },
+            { label: 'False', value: 'false' }
+        ];
+    }
+    
+    /**
+     * @description Looks up the describe type of a filterable field
+     * @param {string} fieldName - Field API name
+     * @return {string} Lowercase Schema.DisplayType name, or empty string if unknown
+     */
+    getFilterFieldType(fieldName) {
+        const option = this.filterFieldOptions.find(field => field.value === fieldName);
+        return option ? option.type : '';
+    }
+    
+    /**
+     * @description Gets the operators that apply to a field type
+     * @param {string} fieldType - Lowercase Schema.DisplayType name
+     * @return {Array} Operator keys understood by MsFlowLookupController
+     */
+    getOperatorsForType(fieldType) {
+        switch (fieldType) {
+            case 'boolean':
+                return ['equals', 'notEquals'];
+            case 'id':
+            case 'reference':
+                return ['equals', 'notEquals', 'isNull', 'isNotNull'];
+            case 'date':
+            case 'datetime':
+            case 'time':
+            case 'integer':
+            case 'long':
+            case 'double':
+            case 'currency':
+            case 'percent':
+                return ['equals', 'notEquals', 'lessThan', 'lessOrEqual', 'greaterThan', 'greaterOrEqual', 'isNull', 'isNotNull'];
+            default:
+                return ['equals', 'notEquals', 'contains', 'startsWith', 'isNull', 'isNotNull'];
+        }
+    }
+    
+    /**
+     * @description Gets the lightning-input type for entering a field value
+     * @param {string} fieldType - Lowercase Schema.DisplayType name
+     * @return {string} lightning-input type
+     */
+    getInputTypeForField(fieldType) {
+        switch (fieldType) {
+            case 'date':
+                return 'date';
+            case 'datetime':
+                return 'datetime';
+            case 'integer':
+            case 'long':
+            case 'double':
+            case 'currency':
+            case 'percent':
+                return 'number';
+            default:
+                return 'text';
+        }
     }
     
     /**